@@ -1,21 +1,936 @@
 import * as Spotify from "./spotify.js"
-import * as OAuth from "./oauth.js"
+import * as Discovery from "./discovery.js"
+import * as Filters from "./filters.js"
+import * as Playlist from "./playlist.js"
+import * as Known from "./known.js"
+import * as Cache from "./cache.js"
+import * as Ranking from "./ranking.js"
+import * as Seeds from "./seeds.js"
+import * as Recipes from "./recipes.js"
+import * as Export from "./export.js"
+import * as Preview from "./preview.js"
+import * as Radar from "./radar.js"
+import * as Market from "./market.js"
+import * as HTML from "./html.js"
+import {client} from "./client.js"
 
-async function insertTopArtists() {
-    const topArtists = await Spotify.getUsersTopItems(await OAuth.getToken(), "artists", "short_term", 10);
+const recipesForm = document.getElementById("recipes");
+const seedingForm = document.getElementById("seeding");
+const addFollowedButton = document.getElementById("add-followed-button");
+const addRecentButton = document.getElementById("add-recent-button");
+const artistSearchForm = document.getElementById("artist-search");
+const seedArtistsTable = document.getElementById("seed-artists");
+const playlistPickerForm = document.getElementById("playlist-picker");
+const playlistsTable = document.getElementById("playlists");
+const playlistArtistsTable = document.getElementById("playlist-artists");
+const addPlaylistArtistsButton = document.getElementById("add-playlist-artists-button");
+const buildMixButton = document.getElementById("build-mix-button");
+const filtersForm = document.getElementById("filters");
+const rankingForm = document.getElementById("ranking");
+const mixTracksTable = document.getElementById("mix-tracks");
+const exportMixForm = document.getElementById("export-mix");
+const savePlaylistForm = document.getElementById("save-playlist");
+const syncPlaylistForm = document.getElementById("sync-playlist");
+const playbackForm = document.getElementById("playback");
+const checkRadarButton = document.getElementById("check-radar-button");
+const addRadarButton = document.getElementById("add-radar-button");
+const marketForm = document.getElementById("market-override");
+const clearMarketButton = document.getElementById("clear-market-button");
+const clearCacheButton = document.getElementById("clear-cache-button");
+
+/**
+ * The seed artists, by Spotify ID, with the `sources` they were added from and whether they are `checked`.
+ * @type {Map<string, object>}
+ */
+const seeds = new Map();
+
+/**
+ * Where the seed artists come from, as saved in recipes. See `Recipes.create`.
+ * @type {object}
+ */
+let seedSources = {"top_artists": [], "followed": false, "recently_played": [], "playlists": [], "artists": []};
+
+/**
+ * The artists found by the last artist search, by Spotify ID.
+ * @type {Map<string, object>}
+ */
+let searchResults = new Map();
+
+/**
+ * The playlists owned or followed by the user, once loaded.
+ * @type {Promise<object[]>|null}
+ */
+let usersPlaylists = null;
+
+/**
+ * The playlists listed in the playlist picker, by Spotify ID.
+ * @type {Map<string, object>}
+ */
+let listedPlaylists = new Map();
+
+/**
+ * The chosen playlist and its unique artists.
+ * @type {{playlist: object, artists: object[]}|null}
+ */
+let chosenPlaylist = null;
+
+/**
+ * The candidate tracks of the last built mix, as full track objects.
+ * @type {object[]}
+ */
+let pool = [];
+
+/**
+ * The tracks of the pool that pass the filters, ranked.
+ * @type {object[]}
+ */
+let mix = [];
+
+/**
+ * The tracks marked while previewing, by Spotify ID: `keep` or `skip`.
+ * @type {Map<string, string>}
+ */
+const verdicts = new Map();
+
+/**
+ * The preview player of the mix.
+ * @type {Preview.PreviewPlayer}
+ */
+const player = new Preview.PreviewPlayer(document.getElementById("preview-audio"), insertNowPlaying);
+
+/**
+ * The new releases found by the radar, as returned by `Radar.getNewReleases`.
+ * @type {object[]}
+ */
+let radar = [];
+
+/**
+ * The names of the album groups, as shown by the radar.
+ * @type {Object<string, string>}
+ */
+const albumGroupNames = {"album": "Album", "single": "Single", "appears_on": "Appears on"};
+
+/**
+ * The most tracks sent to a device at once when playing the mix, to keep the request small.
+ * @type {number}
+ */
+const maxPlayedTracks = 100;
+
+/**
+ * The affinity of the user for each artist of the pool, as returned by `Ranking.getArtistAffinities`.
+ * @type {Map<string, object>}
+ */
+let affinities = new Map();
+
+/**
+ * The indexes of known tracks built so far, by their comma-separated sources and the days of recent plays they look back.
+ * @type {Map<string, Promise<object>>}
+ */
+const knownIndexes = new Map();
+
+function insertSeeds() {
+    let innerHTMLContent = "";
+    for (const {artist, sources, checked} of seeds.values()) {
+        innerHTMLContent += `
+            <tr>
+                <td><input type="checkbox" name="artist" value="${HTML.escape(artist["id"])}"${checked ? " checked" : ""}></td><td>${HTML.escape(artist["name"])}</td><td>${HTML.escape([...sources].join(", "))}</td>
+            </tr>
+        `
+    }
+    seedArtistsTable.innerHTML = innerHTMLContent;
+}
+
+/**
+ * Add artists to the seed artists.
+ * @param {object[]} artists Artist objects.
+ * @param {string} source Where the artists come from, shown next to them.
+ */
+function addSeeds(artists, source) {
+    for (const artist of artists) {
+        const seed = seeds.get(artist["id"]) ?? {artist, "sources": new Set(), "checked": true};
+        seed["sources"].add(source);
+        seeds.set(artist["id"], seed);
+    }
+    insertSeeds();
+}
+
+function clearSeeds() {
+    seeds.clear();
+    seedSources = {"top_artists": [], "followed": false, "recently_played": [], "playlists": [], "artists": []};
+    insertSeeds();
+}
+
+function toggleSeed(event) {
+    if (event.target.name === "artist") seeds.get(event.target.value)["checked"] = event.target.checked;
+}
+
+/**
+ * Run a seeding action, showing its errors in the seeding status.
+ * @param {function(): Promise<void>} action The action to run.
+ */
+async function seed(action) {
+    const seedStatus = document.getElementById("seeding-status");
+    seedStatus.innerHTML = "Loading artists...";
+    try {
+        await action();
+        seedStatus.innerHTML = "";
+    }
+    catch (error) {
+        seedStatus.innerHTML = `Error: ${error.message}`;
+    }
+}
+
+/**
+ * Add the user's top artists to the seed artists.
+ * @param {string} time_range The time range: `short_term`, `medium_term`, `long_term`, or `blend` to blend all three.
+ * @param {number|null} max_artists The number of artists to add, or `null` for all of them.
+ */
+function loadTopArtists(time_range, max_artists) {
+    const time_ranges = time_range === "blend" ? ["short_term", "medium_term", "long_term"] : [time_range];
+    const label = seedingForm.elements["time_range"].querySelector(`option[value="${time_range}"]`).textContent;
+    return seed(async () => {
+        addSeeds(await Seeds.getTopArtists(time_ranges, max_artists ?? Infinity), `Top artists (${label})`);
+        seedSources["top_artists"].push({time_range, max_artists});
+    });
+}
+
+function addTopArtists(event) {
+    event?.preventDefault();
+    const data = new FormData(seedingForm);
+    return loadTopArtists(data.get("time_range"), data.has("all_artists") ? null : Number(data.get("max_artists")));
+}
+
+function addFollowedArtists() {
+    return seed(async () => {
+        addSeeds(await Seeds.getFollowedArtists(), "Followed");
+        seedSources["followed"] = true;
+    });
+}
+
+/**
+ * Add the artists the user played recently to the seed artists, from the most played.
+ * @param {number} max_plays How many of the last plays to count.
+ */
+function loadRecentlyPlayedArtists(max_plays) {
+    return seed(async () => {
+        const artists = await Seeds.getRecentlyPlayedArtists(max_plays);
+        for (const artist of artists) addSeeds([artist], `${artist["play_count"]} of the last ${max_plays} plays`);
+        seedSources["recently_played"].push({max_plays});
+    });
+}
+
+function addRecentlyPlayedArtists() {
+    return loadRecentlyPlayedArtists(Number(new FormData(seedingForm).get("max_plays")));
+}
+
+function searchArtists(event) {
+    event.preventDefault();
+    const q = new FormData(artistSearchForm).get("q").trim();
+    if (!q) return;
+    return seed(async () => {
+        const artists = await Seeds.searchArtists(q);
+        searchResults = new Map(artists.map(artist => [artist["id"], artist]));
+        let innerHTMLContent = "";
+        for (const artist of artists) {
+            innerHTMLContent += `
+                <tr>
+                    <td><button type="button" value="${HTML.escape(artist["id"])}">Add</button></td><td>${HTML.escape(artist["name"])}</td><td>${artist["followers"]["total"].toLocaleString()} followers</td>
+                </tr>
+            `
+        }
+        document.getElementById("artist-search-results").innerHTML = innerHTMLContent;
+    });
+}
+
+function addSearchResult(event) {
+    if (event.target.tagName !== "BUTTON") return;
+    const artist = searchResults.get(event.target.value);
+    addSeeds([artist], "Search");
+    if (!seedSources["artists"].some(({id}) => id === artist["id"])) seedSources["artists"].push({"id": artist["id"], "name": artist["name"]});
+}
+
+function insertPlaylists(playlists) {
+    listedPlaylists = new Map(playlists.map(playlist => [playlist["id"], playlist]));
+    let innerHTMLContent = "";
+    for (const playlist of playlists) {
+        innerHTMLContent += `
+            <tr>
+                <td><button type="button" value="${playlist["id"]}">Choose</button></td><td>${HTML.escape(playlist["name"])}</td><td>${HTML.escape(playlist["owner"]["display_name"])}</td><td>${playlist["tracks"]["total"]} tracks</td>
+            </tr>
+        `
+    }
+    playlistsTable.innerHTML = innerHTMLContent;
+}
+
+async function findPlaylists(event) {
+    event?.preventDefault();
+    const pickerStatus = document.getElementById("playlist-picker-status");
+    const q = new FormData(playlistPickerForm).get("q").trim();
+    try {
+        if (Discovery.parsePlaylistId(q)) {
+            pickerStatus.innerHTML = "Looking up the playlist...";
+            insertPlaylists([await Discovery.resolvePlaylist(q)]);
+        }
+        else {
+            usersPlaylists ??= Discovery.getUsersPlaylists();
+            const playlists = await usersPlaylists;
+            insertPlaylists(playlists.filter(playlist => playlist["name"].toLowerCase().includes(q.toLowerCase())));
+        }
+        pickerStatus.innerHTML = "";
+    }
+    catch (error) {
+        usersPlaylists = null;
+        pickerStatus.innerHTML = `Error: ${error.message}`;
+    }
+}
+
+async function choosePlaylist(event) {
+    if (event.target.tagName !== "BUTTON") return;
+    const playlist = listedPlaylists.get(event.target.value);
+    const pickerStatus = document.getElementById("playlist-picker-status");
+    pickerStatus.innerHTML = `Loading the artists of ${HTML.escape(playlist["name"])}...`;
+    try {
+        chosenPlaylist = {playlist, "artists": await Discovery.getPlaylistArtists(playlist["id"])};
+    }
+    catch (error) {
+        pickerStatus.innerHTML = `Error: ${error.message}`;
+        return;
+    }
     let innerHTMLContent = "";
-    for (const artist of topArtists["items"]) {
+    for (const artist of chosenPlaylist["artists"]) {
         innerHTMLContent += `
             <tr>
-                <td><input type="checkbox" name="artist" value="${artist["id"]}"></td><td>${artist["name"]}</td>
+                <td><input type="checkbox" name="playlist_artist" value="${artist["id"]}" checked></td><td>${HTML.escape(artist["name"])}</td>
+            </tr>
+        `
+    }
+    playlistArtistsTable.innerHTML = innerHTMLContent;
+    addPlaylistArtistsButton.hidden = !chosenPlaylist["artists"].length;
+    pickerStatus.innerHTML = `${chosenPlaylist["artists"].length} artists in ${HTML.escape(playlist["name"])}`;
+}
+
+/**
+ * Add the artists of a playlist to the seed artists.
+ * @param {object} playlist The playlist, with at least its `id` and `name`.
+ * @param {object[]} artists The artists of the playlist.
+ * @param {string[]} excluded_artists The Spotify IDs of the artists to leave out.
+ */
+function addPlaylistSeeds(playlist, artists, excluded_artists) {
+    const excluded = new Set(excluded_artists);
+    addSeeds(artists.filter(artist => !excluded.has(artist["id"])), `Playlist: ${playlist["name"]}`);
+    seedSources["playlists"].push({"id": playlist["id"], "name": playlist["name"], excluded_artists});
+}
+
+function addPlaylistArtists() {
+    const excluded_artists = [...playlistArtistsTable.querySelectorAll("input[name=playlist_artist]:not(:checked)")].map(checkbox => checkbox.value);
+    addPlaylistSeeds(chosenPlaylist["playlist"], chosenPlaylist["artists"], excluded_artists);
+}
+
+function insertMix() {
+    let innerHTMLContent = "";
+    mix.forEach((track, i) => {
+        const preview = Preview.hasPreview(track) ? `<button type="button" value="${i}">Play</button>` : "No preview";
+        innerHTMLContent += `
+            <tr class="${Preview.hasPreview(track) ? "" : "no-preview"}">
+                <td>${preview}</td><td>${verdicts.get(track["id"]) ?? ""}</td><td>${HTML.escape(track["name"])}</td><td>${HTML.escape(track["artists"].map(artist => artist["name"]).join(", "))}</td><td>${HTML.escape(track["album"]["name"])}</td><td>${track["album"]["release_date"]}</td><td>${track["popularity"]}</td><td>${HTML.escape(track["source_artist"]["name"])}</td>
             </tr>
         `
+    });
+    mixTracksTable.innerHTML = innerHTMLContent;
+    document.getElementById("mix-status").innerHTML = `${mix.length} of ${pool.length} tracks, ${mix.filter(track => !Preview.hasPreview(track)).length} without a preview`;
+    player.load(mix);
+}
+
+function insertNowPlaying(track, index) {
+    const cover = document.getElementById("preview-cover");
+    const art = Preview.getAlbumArt(track);
+    cover.hidden = !art;
+    if (art) cover.src = art;
+    let nowPlaying = "Press Play or the space bar to start previewing.";
+    if (track) {
+        const status = !Preview.hasPreview(track) ? "No preview" : player.playing ? "Playing" : "Paused";
+        nowPlaying = `${status}: ${HTML.escape(track["name"])} by ${HTML.escape(track["artists"].map(artist => artist["name"]).join(", "))} (${index + 1} of ${mix.length})`;
+    }
+    document.getElementById("preview-now-playing").innerHTML = nowPlaying;
+    document.getElementById("preview-play-button").textContent = player.playing ? "Pause" : "Play";
+    [...mixTracksTable.rows].forEach((row, i) => row.classList.toggle("current-track", i === index));
+}
+
+/**
+ * Mark the current track to keep or to skip, and move on to the next track.
+ * @param {string} verdict `keep` or `skip`.
+ */
+function judge(verdict) {
+    const track = player.current;
+    if (!track) return;
+    verdicts.set(track["id"], verdict);
+    mixTracksTable.rows[player.index].cells[1].textContent = verdict;
+    player.next();
+}
+
+function playFromMix(event) {
+    if (event.target.tagName === "BUTTON") player.play(Number(event.target.value));
+}
+
+function handleShortcut(event) {
+    // Typing in a form keeps its keys, and the space bar still presses a focused button.
+    if (event.target.closest("input, select, textarea") || (event.key === " " && event.target.closest("button"))) return;
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    const shortcuts = {
+        " ": () => player.toggle(),
+        "ArrowRight": () => player.next(),
+        "ArrowLeft": () => player.previous(),
+        "k": () => judge("keep"),
+        "s": () => judge("skip")
+    };
+    if (!mix.length || !shortcuts[event.key]) return;
+    event.preventDefault();
+    shortcuts[event.key]();
+}
+
+/**
+ * Get the tracks of the mix to save or export: the tracks that were not skipped, or only the kept tracks if so chosen.
+ * @returns {object[]} Full track objects
+ */
+function getFinalMix() {
+    if (document.getElementById("kept-only").checked) return mix.filter(track => verdicts.get(track["id"]) === "keep");
+    return mix.filter(track => verdicts.get(track["id"]) !== "skip");
+}
+
+/**
+ * Read the filter options from the filter panel.
+ * @returns {object} The filter options, as taken by `Filters.fromOptions`
+ */
+function getFilterOptions() {
+    const data = new FormData(filtersForm);
+    const number = name => data.get(name) === "" ? null : Number(data.get(name));
+    const list = name => data.get(name).split(",").map(item => item.trim()).filter(item => item);
+    return {
+        "min_popularity": number("min_popularity"),
+        "max_popularity": number("max_popularity"),
+        "released_after": data.get("released_after") || null,
+        "released_before": data.get("released_before") || null,
+        "include_artists": list("include_artists"),
+        "exclude_artists": list("exclude_artists"),
+        "explicit": data.has("explicit"),
+        "min_duration": number("min_duration"),
+        "max_duration": number("max_duration"),
+        "album_groups": data.getAll("album_groups"),
+        "known_sources": data.getAll("known_sources"),
+        "recent_days": number("recent_days") ?? 7
+    };
+}
+
+/**
+ * Get the index of known tracks from some sources, building it on first use.
+ * @param {string[]} sources The sources, as taken by `Known.buildIndex`.
+ * @param {number} recent_days How many days of plays the `recently_played` source looks back.
+ * @returns {Promise<object>} The index
+ */
+function getKnownIndex(sources, recent_days) {
+    const key = `${sources.join(",")}:${sources.includes("recently_played") ? recent_days : ""}`;
+    if (!knownIndexes.has(key)) {
+        const index = Known.buildIndex(sources, recent_days);
+        // Do not keep failed builds, so that applying the filters again retries.
+        index.catch(() => knownIndexes.delete(key));
+        knownIndexes.set(key, index);
+    }
+    return knownIndexes.get(key);
+}
+
+/**
+ * Fill the filters form.
+ * @param {object} options The filter options, as returned by `getFilterOptions`.
+ */
+function setFilterOptions(options) {
+    const elements = filtersForm.elements;
+    for (const name of ["min_popularity", "max_popularity", "released_after", "released_before", "min_duration", "max_duration"]) {
+        elements[name].value = options[name] ?? "";
+    }
+    elements["include_artists"].value = (options["include_artists"] ?? []).join(", ");
+    elements["exclude_artists"].value = (options["exclude_artists"] ?? []).join(", ");
+    elements["explicit"].checked = options["explicit"] ?? true;
+    for (const checkbox of elements["album_groups"]) checkbox.checked = options["album_groups"]?.includes(checkbox.value) ?? true;
+    for (const checkbox of elements["known_sources"]) checkbox.checked = options["known_sources"]?.includes(checkbox.value) ?? false;
+    elements["recent_days"].value = options["recent_days"] ?? 7;
+}
+
+/**
+ * Read the ranking weights from the ranking panel.
+ * @returns {object} The weight of each criterion, as taken by `Ranking.rank`
+ */
+function getRankingWeights() {
+    const data = new FormData(rankingForm);
+    return Object.fromEntries(Object.keys(Ranking.defaultWeights).map(criterion => [criterion, Number(data.get(criterion))]));
+}
+
+function setRankingWeights(weights) {
+    for (const [criterion, weight] of Object.entries({...Ranking.defaultWeights, ...weights})) {
+        if (rankingForm.elements[criterion]) rankingForm.elements[criterion].value = weight;
+    }
+}
+
+function applyRanking() {
+    mix = Ranking.rank(mix, affinities, getRankingWeights());
+    insertMix();
+}
+
+async function applyFilters(event) {
+    event?.preventDefault();
+    const options = getFilterOptions();
+    const filters = Filters.fromOptions(options);
+    const mixStatus = document.getElementById("mix-status");
+    try {
+        if (options["known_sources"].length) {
+            mixStatus.innerHTML = "Finding the tracks you already know...";
+            filters.push(Known.unknown(await getKnownIndex(options["known_sources"], options["recent_days"])));
+        }
+        mix = Filters.apply(pool, filters);
+        applyRanking();
+    }
+    catch (error) {
+        mixStatus.innerHTML = `Error: ${error.message}`;
+    }
+}
+
+async function buildMix() {
+    const artist_ids = [...document.querySelectorAll("input[name=artist]:checked")].map(checkbox => checkbox.value);
+    const mixStatus = document.getElementById("mix-status");
+    if (!artist_ids.length) {
+        mixStatus.innerHTML = "Choose at least one seed artist.";
+        return;
+    }
+    buildMixButton.disabled = true;
+    mixStatus.innerHTML = "Building your mix...";
+    try {
+        const include_groups = getFilterOptions()["album_groups"].join(",") || "album,single";
+        pool = await Filters.hydrate(await Discovery.buildTrackPool(artist_ids, null, include_groups));
+        affinities = await Ranking.getArtistAffinities([...new Set(pool.flatMap(track => track["artists"].map(artist => artist["id"])))]);
+        await applyFilters();
+    }
+    catch (error) {
+        mixStatus.innerHTML = `Error: ${error.message}`;
+    }
+    finally {
+        buildMixButton.disabled = false;
+    }
+}
+
+function exportMix(event) {
+    event.preventDefault();
+    const tracks = getFinalMix();
+    if (!tracks.length) {
+        document.getElementById("mix-status").innerHTML = "Build a mix first, with at least one track to keep.";
+        return;
+    }
+    const title = `${new FormData(savePlaylistForm).get("name") || "Breadcrumbs"} ${new Date().toISOString().slice(0, 10)}`;
+    Export.exportTracks(tracks, new FormData(exportMixForm).get("format"), title);
+}
+
+async function savePlaylist(event) {
+    event.preventDefault();
+    const data = new FormData(savePlaylistForm);
+    const saveStatus = document.getElementById("save-playlist-status");
+    const tracks = getFinalMix();
+    if (!tracks.length) {
+        saveStatus.innerHTML = "Build a mix first, with at least one track to keep.";
+        return;
+    }
+    savePlaylistForm.querySelector("button").disabled = true;
+    try {
+        const playlist = await Playlist.saveAsPlaylist(tracks, data.get("name"), data.get("description") || null, data.has("public"), data.has("cover"), message => saveStatus.innerHTML = message);
+        saveStatus.innerHTML = `Saved! <a href="${playlist["external_urls"]["spotify"]}" target="_blank">Open ${HTML.escape(playlist["name"])} in Spotify</a>`;
+    }
+    catch (error) {
+        saveStatus.innerHTML = `Error: ${error.message}`;
+    }
+    finally {
+        savePlaylistForm.querySelector("button").disabled = false;
+    }
+}
+
+/**
+ * Summarize the seeds of the mix for a playlist description.
+ * @returns {string} The names of the first few checked seed artists
+ */
+function summarizeSeeds() {
+    const names = [...seeds.values()].filter(seed => seed["checked"]).map(seed => seed["artist"]["name"]);
+    if (names.length <= 5) return names.join(", ");
+    return `${names.slice(0, 5).join(", ")} and ${names.length - 5} more artists`;
+}
+
+async function syncPlaylist(event) {
+    event.preventDefault();
+    const data = new FormData(syncPlaylistForm);
+    const syncStatus = document.getElementById("sync-playlist-status");
+    const tracks = getFinalMix();
+    if (!tracks.length) {
+        syncStatus.innerHTML = "Build a mix first, with at least one track to keep.";
+        return;
+    }
+    syncPlaylistForm.querySelector("button").disabled = true;
+    try {
+        const playlist = await Playlist.syncPlaylist(tracks, data.get("name"), summarizeSeeds(), data.has("public"), data.has("cover"), message => syncStatus.innerHTML = message);
+        syncStatus.innerHTML = `Synced! <a href="${playlist["external_urls"]["spotify"]}" target="_blank">Open ${HTML.escape(playlist["name"])} in Spotify</a>`;
+    }
+    catch (error) {
+        syncStatus.innerHTML = `Error: ${error.message}`;
+    }
+    finally {
+        syncPlaylistForm.querySelector("button").disabled = false;
+    }
+}
+
+async function insertDevices() {
+    const playbackStatus = document.getElementById("playback-status");
+    try {
+        const {devices} = await Spotify.getAvailableDevices();
+        let innerHTMLContent = `<option value="">The active device</option>`;
+        for (const device of devices) {
+            innerHTMLContent += `<option value="${HTML.escape(device["id"])}"${device["is_active"] ? " selected" : ""}>${HTML.escape(device["name"])} (${HTML.escape(device["type"])})</option>`;
+        }
+        playbackForm.elements["device_id"].innerHTML = innerHTMLContent;
+        playbackStatus.innerHTML = devices.length ? "" : "Open Spotify on one of your devices, then refresh.";
+    }
+    catch (error) {
+        playbackStatus.innerHTML = `Error: ${error.message}`;
+    }
+}
+
+async function playMix(event) {
+    event.preventDefault();
+    const playbackStatus = document.getElementById("playback-status");
+    const tracks = getFinalMix().slice(0, maxPlayedTracks);
+    if (!tracks.length) {
+        playbackStatus.innerHTML = "Build a mix first, with at least one track to keep.";
+        return;
+    }
+    try {
+        player.stop();
+        await Spotify.startOrResumePlayback(playbackForm.elements["device_id"].value || null, null, tracks.map(track => track["uri"]));
+        playbackStatus.innerHTML = `Playing ${tracks.length} tracks on Spotify.`;
+    }
+    catch (error) {
+        playbackStatus.innerHTML = `Error: ${error.message}`;
+    }
+}
+
+async function queueKeptTracks() {
+    const playbackStatus = document.getElementById("playback-status");
+    const tracks = mix.filter(track => verdicts.get(track["id"]) === "keep");
+    if (!tracks.length) {
+        playbackStatus.innerHTML = "Keep some tracks in the preview player first.";
+        return;
+    }
+    try {
+        for (const [i, track] of tracks.entries()) {
+            playbackStatus.innerHTML = `Queueing ${i + 1} of ${tracks.length} tracks...`;
+            await Spotify.addItemToPlaybackQueue(track["uri"], playbackForm.elements["device_id"].value || null);
+        }
+        playbackStatus.innerHTML = `Queued ${tracks.length} tracks.`;
+    }
+    catch (error) {
+        playbackStatus.innerHTML = `Error: ${error.message}`;
+    }
+}
+
+function insertRadar(since) {
+    let innerHTMLContent = "";
+    for (const {artist, releases} of radar) {
+        for (const group of Radar.albumGroups) {
+            for (const album of releases[group]) {
+                innerHTMLContent += `
+                    <tr>
+                        <td>${HTML.escape(artist["name"])}</td><td>${albumGroupNames[group]}</td><td><a href="${album["external_urls"]["spotify"]}" target="_blank">${HTML.escape(album["name"])}</a></td><td>${album["release_date"]}</td>
+                    </tr>
+                `
+            }
+        }
+    }
+    document.getElementById("radar-releases").innerHTML = innerHTMLContent;
+    const count = radar.reduce((sum, {releases}) => sum + Object.values(releases).flat().length, 0);
+    document.getElementById("radar-status").innerHTML = count ? `${count} releases from ${radar.length} artists since ${since}` : `Nothing new since ${since}.`;
+    addRadarButton.hidden = !count;
+}
+
+async function checkRadar() {
+    const radarStatus = document.getElementById("radar-status");
+    checkRadarButton.disabled = true;
+    try {
+        radarStatus.innerHTML = "Getting your profile...";
+        const started = new Date();
+        const user_id = (await Spotify.getCurrentUsersProfile())["id"];
+        const since = Radar.startVisit(user_id);
+        radarStatus.innerHTML = "Finding your artists...";
+        const artists = await Radar.getRadarArtists();
+        radarStatus.innerHTML = `Checking the releases of ${artists.length} artists...`;
+        radar = await Radar.getNewReleases(artists, since);
+        Radar.recordVisit(user_id, started);
+        insertRadar(since);
+    }
+    catch (error) {
+        radarStatus.innerHTML = `Error: ${error.message}`;
+    }
+    finally {
+        checkRadarButton.disabled = false;
+    }
+}
+
+async function addRadarTracks() {
+    const radarStatus = document.getElementById("radar-status");
+    addRadarButton.disabled = true;
+    try {
+        radarStatus.innerHTML = "Getting the new tracks...";
+        const tracks = await Radar.getNewTracks(radar);
+        const {playlist, added} = await Playlist.addToRadarPlaylist(tracks, message => radarStatus.innerHTML = message);
+        radarStatus.innerHTML = `Added ${added} new tracks. <a href="${playlist["external_urls"]["spotify"]}" target="_blank">Open ${HTML.escape(playlist["name"])} in Spotify</a>`;
+    }
+    catch (error) {
+        radarStatus.innerHTML = `Error: ${error.message}`;
+    }
+    finally {
+        addRadarButton.disabled = false;
+    }
+}
+
+function getTarget() {
+    const playlist = new FormData(savePlaylistForm);
+    const sync = new FormData(syncPlaylistForm);
+    return {
+        "playlist": {"name": playlist.get("name"), "description": playlist.get("description"), "public": playlist.has("public"), "cover": playlist.has("cover")},
+        "sync": {"name": sync.get("name"), "public": sync.has("public"), "cover": sync.has("cover")}
+    };
+}
+
+function setTarget(target) {
+    for (const [form, options] of [[savePlaylistForm, target["playlist"]], [syncPlaylistForm, target["sync"]]]) {
+        for (const [name, value] of Object.entries(options ?? {})) {
+            const element = form.elements[name];
+            if (element?.type === "checkbox") element.checked = value;
+            else if (element) element.value = value;
+        }
+    }
+}
+
+/**
+ * Save the current setup as a recipe.
+ * @param {string} name The name of the recipe.
+ * @returns {object} The recipe
+ */
+function getRecipe(name) {
+    const excluded_artists = [...seeds.values()].filter(seed => !seed["checked"]).map(seed => seed["artist"]["id"]);
+    return Recipes.create(name, {...seedSources, excluded_artists}, getFilterOptions(), getRankingWeights(), getTarget());
+}
+
+/**
+ * Set up the app from a recipe: load its seed artists again and fill the filters, ranking and target playlist forms.
+ * @param {object} recipe The recipe.
+ */
+async function applyRecipe(recipe) {
+    const {top_artists=[], followed=false, recently_played=[], playlists=[], artists=[], excluded_artists=[]} = recipe["seeds"];
+    clearSeeds();
+    setFilterOptions(recipe["filters"]);
+    setRankingWeights(recipe["weights"]);
+    setTarget(recipe["target"]);
+    for (const {time_range, max_artists} of top_artists) await loadTopArtists(time_range, max_artists);
+    if (followed) await addFollowedArtists();
+    for (const {max_plays} of recently_played) await loadRecentlyPlayedArtists(max_plays);
+    for (const playlist of playlists) {
+        await seed(async () => addPlaylistSeeds(playlist, await Discovery.getPlaylistArtists(playlist["id"]), playlist["excluded_artists"] ?? []));
+    }
+    if (artists.length) {
+        addSeeds(artists, "Search");
+        seedSources["artists"].push(...artists);
+    }
+    for (const artist_id of excluded_artists) {
+        if (seeds.has(artist_id)) seeds.get(artist_id)["checked"] = false;
+    }
+    insertSeeds();
+}
+
+function insertRecipes() {
+    let innerHTMLContent = "";
+    for (const name of Recipes.list()) {
+        innerHTMLContent += `<option>${HTML.escape(name)}</option>`;
+    }
+    recipesForm.elements["recipe"].innerHTML = innerHTMLContent;
+}
+
+function saveRecipe(event) {
+    event.preventDefault();
+    const name = new FormData(recipesForm).get("name").trim();
+    Recipes.save(getRecipe(name));
+    insertRecipes();
+    recipesForm.elements["recipe"].value = name;
+    document.getElementById("recipes-status").innerHTML = `Saved ${HTML.escape(name)}.`;
+}
+
+async function loadRecipe() {
+    const name = recipesForm.elements["recipe"].value;
+    const recipe = Recipes.load(name);
+    if (!recipe) return;
+    recipesForm.elements["name"].value = name;
+    document.getElementById("recipes-status").innerHTML = `Loading ${HTML.escape(name)}...`;
+    await applyRecipe(recipe);
+    document.getElementById("recipes-status").innerHTML = `Loaded ${HTML.escape(name)}.`;
+}
+
+function deleteRecipe() {
+    const name = recipesForm.elements["recipe"].value;
+    if (!name) return;
+    Recipes.remove(name);
+    insertRecipes();
+    document.getElementById("recipes-status").innerHTML = `Deleted ${HTML.escape(name)}.`;
+}
+
+function exportRecipe() {
+    Recipes.exportFile(getRecipe(new FormData(recipesForm).get("name").trim() || "Breadcrumbs recipe"));
+}
+
+async function importRecipe(event) {
+    const recipesStatus = document.getElementById("recipes-status");
+    const [file] = event.target.files;
+    if (!file) return;
+    try {
+        const recipe = await Recipes.importFile(file);
+        Recipes.save(recipe);
+        insertRecipes();
+        recipesForm.elements["recipe"].value = recipe["name"];
+        recipesForm.elements["name"].value = recipe["name"];
+        recipesStatus.innerHTML = `Loading ${HTML.escape(recipe["name"])}...`;
+        await applyRecipe(recipe);
+        recipesStatus.innerHTML = `Imported ${HTML.escape(recipe["name"])}.`;
+    }
+    catch (error) {
+        recipesStatus.innerHTML = `Error: ${error.message}`;
+    }
+    finally {
+        event.target.value = "";
+    }
+}
+
+async function shareRecipe() {
+    const url = Recipes.toURL(getRecipe(new FormData(recipesForm).get("name").trim() || "Shared recipe"));
+    const copied = await navigator.clipboard?.writeText(url).then(() => true, () => false);
+    document.getElementById("recipes-status").innerHTML = `${copied ? "Copied! " : ""}<a href="${url}">Share this link</a> to pass on this setup.`;
+}
+
+/**
+ * Apply the recipe shared by the link the app was opened with. Logging in first does not lose it, the link is kept for the session.
+ * @returns {Promise<boolean>} Whether a shared recipe was applied
+ */
+async function loadSharedRecipe() {
+    const url = sessionStorage.getItem("shared_recipe_url") ?? window.location.href;
+    sessionStorage.removeItem("shared_recipe_url");
+    const recipesStatus = document.getElementById("recipes-status");
+    try {
+        const recipe = Recipes.fromURL(url);
+        if (!recipe) return false;
+        recipesForm.elements["name"].value = recipe["name"];
+        recipesStatus.innerHTML = `Loading the shared recipe ${HTML.escape(recipe["name"])}...`;
+        await applyRecipe(recipe);
+        recipesStatus.innerHTML = `Loaded the shared recipe ${HTML.escape(recipe["name"])}. Save it to keep it.`;
+        return true;
+    }
+    catch (error) {
+        recipesStatus.innerHTML = `Error: ${error.message}`;
+        return false;
+    }
+}
+
+async function showMarket() {
+    const marketStatus = document.getElementById("market-status");
+    const override = Market.getOverride();
+    marketForm.elements["market"].value = override ?? "";
+    if (override) {
+        marketStatus.innerHTML = `Using the market ${override}, set by hand.`;
+        return;
+    }
+    const market = await Market.getMarket();
+    marketStatus.innerHTML = market ? `Using the market of your account, ${market}.` : "Your account has no market, tracks are looked up in every market.";
+}
+
+async function setMarket(event) {
+    event.preventDefault();
+    const marketStatus = document.getElementById("market-status");
+    try {
+        Market.setOverride(new FormData(marketForm).get("market"));
+        await showMarket();
+        if (pool.length) marketStatus.innerHTML += " Build the mix again to use it.";
+    }
+    catch (error) {
+        marketStatus.innerHTML = `Error: ${error.message}`;
+    }
+}
+
+async function clearMarket() {
+    Market.setOverride(null);
+    await showMarket();
+    if (pool.length) document.getElementById("market-status").innerHTML += " Build the mix again to use it.";
+}
+
+async function clearCache() {
+    const clearStatus = document.getElementById("clear-cache-status");
+    try {
+        await Cache.clear();
+        knownIndexes.clear();
+        clearStatus.innerHTML = "Cache cleared.";
+    }
+    catch (error) {
+        clearStatus.innerHTML = `Error: ${error.message}`;
     }
-    document.getElementById("top-artists").innerHTML = innerHTMLContent;
 }
 
 async function poke() {
     /* edit this function for testing */
 }
 
-window.poke = poke;
\ No newline at end of file
+window.poke = poke;
+if (!client.isLoggedIn()) {
+    sessionStorage.setItem("shared_recipe_url", window.location.href);
+    window.location.href = "./";
+}
+else {
+    insertRecipes();
+    loadSharedRecipe().then(shared => shared || addTopArtists());
+    showMarket();
+}
+recipesForm.addEventListener("submit", saveRecipe);
+document.getElementById("load-recipe-button").addEventListener("click", loadRecipe);
+document.getElementById("delete-recipe-button").addEventListener("click", deleteRecipe);
+document.getElementById("export-recipe-button").addEventListener("click", exportRecipe);
+document.getElementById("share-recipe-button").addEventListener("click", shareRecipe);
+recipesForm.elements["file"].addEventListener("change", importRecipe);
+seedingForm.addEventListener("submit", addTopArtists);
+addFollowedButton.addEventListener("click", addFollowedArtists);
+addRecentButton.addEventListener("click", addRecentlyPlayedArtists);
+artistSearchForm.addEventListener("submit", searchArtists);
+document.getElementById("artist-search-results").addEventListener("click", addSearchResult);
+seedArtistsTable.addEventListener("change", toggleSeed);
+playlistPickerForm.addEventListener("submit", findPlaylists);
+playlistPickerForm.addEventListener("input", findPlaylists);
+// The user's playlists are only read once the picker is used.
+playlistPickerForm.addEventListener("focusin", () => findPlaylists(), {"once": true});
+playlistsTable.addEventListener("click", choosePlaylist);
+addPlaylistArtistsButton.addEventListener("click", addPlaylistArtists);
+buildMixButton.addEventListener("click", buildMix);
+filtersForm.addEventListener("submit", applyFilters);
+rankingForm.addEventListener("change", applyRanking);
+mixTracksTable.addEventListener("click", playFromMix);
+document.getElementById("preview-play-button").addEventListener("click", () => player.toggle());
+document.getElementById("preview-previous-button").addEventListener("click", () => player.previous());
+document.getElementById("preview-next-button").addEventListener("click", () => player.next());
+document.getElementById("keep-button").addEventListener("click", () => judge("keep"));
+document.getElementById("skip-button").addEventListener("click", () => judge("skip"));
+document.addEventListener("keydown", handleShortcut);
+exportMixForm.addEventListener("submit", exportMix);
+savePlaylistForm.addEventListener("submit", savePlaylist);
+syncPlaylistForm.addEventListener("submit", syncPlaylist);
+document.getElementById("refresh-devices-button").addEventListener("click", insertDevices);
+playbackForm.addEventListener("submit", playMix);
+document.getElementById("queue-kept-button").addEventListener("click", queueKeptTracks);
+checkRadarButton.addEventListener("click", checkRadar);
+addRadarButton.addEventListener("click", addRadarTracks);
+marketForm.addEventListener("submit", setMarket);
+clearMarketButton.addEventListener("click", clearMarket);
+clearCacheButton.addEventListener("click", clearCache);
@@ -0,0 +1,58 @@
+/**
+ * How many requests of a batch run at the same time, unless stated otherwise.
+ * @type {number}
+ */
+const defaultConcurrency = 4;
+
+/**
+ * Normalize a list of IDs or URIs.
+ * @param {string|string[]} ids A comma-separated list or an array.
+ * @returns {string[]} An array
+ */
+export function toArray(ids) {
+    return typeof ids == "string" ? ids.split(",").filter(id => id) : [...ids];
+}
+
+/**
+ * Split an array into consecutive chunks.
+ * @param {any[]} items The array to split.
+ * @param {number} size The maximum length of a chunk.
+ * @returns {any[][]} The chunks, in order
+ */
+export function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+    return chunks;
+}
+
+/**
+ * Map over an array with an asynchronous function, running at most a given number of calls at the same time.
+ * @param {any[]} items The array to map over.
+ * @param {function(any, number): Promise<any>} callback The function to call with each item and its index.
+ * @param {number} concurrency The maximum number of calls running at the same time.
+ * @returns {Promise<any[]>} The results, in the order of the items
+ */
+export async function mapConcurrent(items, callback, concurrency=defaultConcurrency) {
+    const results = new Array(items.length);
+    let next = 0;
+    async function worker() {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await callback(items[i], i);
+        }
+    }
+    await Promise.all(Array.from({length: Math.min(concurrency, items.length)}, worker));
+    return results;
+}
+
+/**
+ * Split an array into request-sized chunks and map over the chunks with an asynchronous function.
+ * @param {any[]} items The array to split.
+ * @param {number} size The maximum number of items a single request accepts.
+ * @param {function(any[], number): Promise<any>} callback The function to call with each chunk and its index.
+ * @param {number} concurrency The maximum number of calls running at the same time. Use 1 for requests whose order matters.
+ * @returns {Promise<any[]>} The result for each chunk, in the order of the chunks
+ */
+export function mapChunks(items, size, callback, concurrency=defaultConcurrency) {
+    return mapConcurrent(chunk(items, size), callback, concurrency);
+}
@@ -0,0 +1,141 @@
+/**
+ * The name of the IndexedDB database holding the cached responses.
+ * @type {string}
+ */
+const databaseName = "breadcrumbs-cache";
+
+/**
+ * The name of the object store holding the cached responses, keyed by request URL.
+ * @type {string}
+ */
+const storeName = "responses";
+
+const minute = 60 * 1000;
+const day = 24 * 60 * minute;
+
+/**
+ * How long the responses of each kind of endpoint are kept, in milliseconds, by path. Releases and recordings rarely change, while artists gain releases and popularity. User data is kept briefly, and saved items not at all, as the user can change them at any time.
+ * @type {Array<[RegExp, number]>}
+ */
+const ttls = [
+    [/^\/v1\/albums(\/[^/]+)?$/, 7 * day],
+    [/^\/v1\/albums\/[^/]+\/tracks$/, 7 * day],
+    [/^\/v1\/tracks(\/[^/]+)?$/, 7 * day],
+    [/^\/v1\/markets$/, 7 * day],
+    [/^\/v1\/artists(\/[^/]+)?$/, day],
+    [/^\/v1\/artists\/[^/]+\/albums$/, day],
+    [/^\/v1\/artists\/[^/]+\/top-tracks$/, day],
+    [/^\/v1\/me\/top\/(artists|tracks)$/, 10 * minute]
+];
+
+/**
+ * The open database, once opened.
+ * @type {Promise<IDBDatabase>|null}
+ */
+let database = null;
+
+/**
+ * Remove the expired responses. A response is only replaced when it is requested again, so the responses that are not would otherwise pile up.
+ * @param {IDBDatabase} db The database.
+ */
+function prune(db) {
+    const request = db.transaction(storeName, "readwrite").objectStore(storeName).openCursor();
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        if (cursor.value["expires_at"] <= Date.now()) cursor.delete();
+        cursor.continue();
+    };
+}
+
+/**
+ * Open the database, creating it on first use, and prune it.
+ * @returns {Promise<IDBDatabase>} The database
+ */
+function openDatabase() {
+    if (!database) database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(databaseName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+        request.onsuccess = () => {
+            prune(request.result);
+            resolve(request.result);
+        };
+        request.onerror = () => reject(request.error);
+    });
+    return database;
+}
+
+/**
+ * Run an operation on the object store.
+ * @param {IDBTransactionMode} mode The mode of the transaction.
+ * @param {function(IDBObjectStore): IDBRequest} operation The operation to run.
+ * @returns {Promise<any>} The result of the operation
+ */
+async function transact(mode, operation) {
+    const store = (await openDatabase()).transaction(storeName, mode).objectStore(storeName);
+    return new Promise((resolve, reject) => {
+        const request = operation(store);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Whether responses can be cached in this browser.
+ * @returns {boolean}
+ */
+function isAvailable() {
+    return typeof indexedDB !== "undefined";
+}
+
+/**
+ * Get how long the response to a request may be cached.
+ * @param {string} url The address of the resource.
+ * @returns {number} A duration in milliseconds, 0 if the response must not be cached
+ */
+export function getTTL(url) {
+    const path = new URL(url).pathname;
+    return ttls.find(([pattern]) => pattern.test(path))?.[1] ?? 0;
+}
+
+/**
+ * Get a cached response.
+ * @param {string} url The address of the resource.
+ * @returns {Promise<object>|Promise<undefined>} The response, or nothing if it is not cached or has expired
+ */
+export async function get(url) {
+    if (!isAvailable()) return;
+    try {
+        const entry = await transact("readonly", store => store.get(url));
+        if (entry && entry["expires_at"] > Date.now()) return entry["response"];
+    }
+    catch {
+        /* a broken cache behaves like an empty one */
+    }
+}
+
+/**
+ * Cache a response.
+ * @param {string} url The address of the resource.
+ * @param {object} response The parsed response.
+ * @param {number} ttl How long to keep the response, in milliseconds.
+ * @returns {Promise<void>}
+ */
+export async function set(url, response, ttl) {
+    if (!isAvailable()) return;
+    try {
+        await transact("readwrite", store => store.put({response, "expires_at": Date.now() + ttl}, url));
+    }
+    catch {
+        /* the response is simply requested again next time */
+    }
+}
+
+/**
+ * Remove every cached response.
+ * @returns {Promise<void>}
+ */
+export async function clear() {
+    if (!isAvailable()) return;
+    await transact("readwrite", store => store.clear());
+}
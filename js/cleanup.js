@@ -0,0 +1,79 @@
+import * as Filters from "./filters.js"
+
+/**
+ * The fields of each playlist track needed to find duplicates, unavailable and old tracks, and to sort them.
+ * @type {string}
+ */
+export const trackFields = "id,name,popularity,duration_ms,is_playable,external_ids(isrc),artists(id,name),album(name,release_date)";
+
+/**
+ * The sort keys, each comparing two tracks in ascending order.
+ * @type {object}
+ */
+const comparators = {
+    "release_date": (a, b) => Filters.fullDate(a["album"]["release_date"]).localeCompare(Filters.fullDate(b["album"]["release_date"])),
+    "popularity": (a, b) => a["popularity"] - b["popularity"],
+    "artist": (a, b) => a["artists"][0]["name"].localeCompare(b["artists"][0]["name"], undefined, {"sensitivity": "base"}),
+    "duration": (a, b) => a["duration_ms"] - b["duration_ms"]
+};
+
+/**
+ * Find the tracks of a playlist that repeat an earlier track: the same track, a track with the same ISRC, or a track with the same title by the same artists. The first occurrence is kept.
+ * @param {object[]} tracks The tracks of the playlist, as returned by `Playlist.getPlaylistState` with `trackFields`.
+ * @returns {object[]} For each repeat, its `position`, the `position` of the track it repeats as `original` and the `reason` it matched, in order
+ */
+export function findDuplicates(tracks) {
+    const seen = new Map();
+    const duplicates = [];
+    tracks.forEach((track, position) => {
+        if (!track?.["id"]) return;
+        const keys = [
+            ["track", track["id"]],
+            ["ISRC", track["external_ids"]?.["isrc"]],
+            ["title and artists", `${track["name"].toLowerCase()}|${track["artists"].map(artist => artist["id"]).sort().join()}`]
+        ].filter(([, key]) => key);
+        const match = keys.find(([reason, key]) => seen.has(`${reason}:${key}`));
+        if (match) {
+            duplicates.push({position, "original": seen.get(`${match[0]}:${match[1]}`), "reason": `same ${match[0]}`});
+            return;
+        }
+        for (const [reason, key] of keys) seen.set(`${reason}:${key}`, position);
+    });
+    return duplicates;
+}
+
+/**
+ * Find the tracks of a playlist that cannot be played in the market they were requested for.
+ * @param {object[]} tracks The tracks of the playlist, as returned by `Playlist.getPlaylistState` with a market and `trackFields`.
+ * @returns {number[]} The positions of the unavailable tracks
+ */
+export function findUnavailable(tracks) {
+    return tracks.flatMap((track, position) => track?.["is_playable"] === false ? [position] : []);
+}
+
+/**
+ * Find the tracks of a playlist released before a date.
+ * @param {object[]} tracks The tracks of the playlist, as returned by `Playlist.getPlaylistState` with `trackFields`.
+ * @param {string} cutoff The earliest release date to keep, as `YYYY-MM-DD`. Release dates of year or month precision count as their first day.
+ * @returns {number[]} The positions of the older tracks
+ */
+export function findReleasedBefore(tracks, cutoff) {
+    return tracks.flatMap((track, position) => track?.["album"]?.["release_date"] && Filters.fullDate(track["album"]["release_date"]) < cutoff ? [position] : []);
+}
+
+/**
+ * Work out the sorted order of the tracks of a playlist. Sorting is stable, and items that cannot be compared, like episodes and local files, keep their place after the tracks.
+ * @param {object[]} tracks The tracks of the playlist, as returned by `Playlist.getPlaylistState` with `trackFields`.
+ * @param {string} key What to sort by. Valid values: `release_date`, `popularity`, `artist` and `duration`.
+ * @param {boolean} descending Whether to sort from the highest value to the lowest.
+ * @returns {number[]} The current positions of the tracks, in their sorted order
+ */
+export function sortOrder(tracks, key, descending=false) {
+    const compare = comparators[key];
+    const sortable = position => tracks[position]?.["id"] && tracks[position]["album"] ? 1 : 0;
+    return tracks.map((track, position) => position).sort((a, b) => {
+        if (sortable(a) !== sortable(b)) return sortable(b) - sortable(a);
+        if (!sortable(a)) return 0;
+        return descending ? compare(tracks[b], tracks[a]) : compare(tracks[a], tracks[b]);
+    });
+}
@@ -0,0 +1,150 @@
+import * as OAuth from "./oauth.js"
+import * as Cache from "./cache.js"
+import {request, SpotifyApiError} from "./request.js"
+
+/**
+ * How many seconds before its expiry an access token is refreshed, so that it does not expire while a request is in flight.
+ * @type {number}
+ */
+const expiryMargin = 60;
+
+/**
+ * Sends requests to the Web API on behalf of the logged in user, keeping the access token stored by the OAuth flow fresh.
+ */
+export class SpotifyClient {
+    constructor() {
+        /**
+         * The token refresh in progress, shared by every request that needs a fresh token while it runs.
+         * @type {Promise<void>|null}
+         */
+        this.refreshing = null;
+
+        /**
+         * Whether the user is being sent to consent to missing scopes, so that concurrent requests only send them once.
+         * @type {boolean}
+         */
+        this.consenting = false;
+    }
+
+    /**
+     * Whether a user has logged in, i.e. whether there is a refresh token to get access tokens with.
+     * @returns {boolean}
+     */
+    isLoggedIn() {
+        return localStorage.getItem("refresh_token") !== null;
+    }
+
+    /**
+     * Refresh the access token. Concurrent calls share a single refresh. If the refresh token was revoked or has expired, the stored tokens are cleared and the user is sent back to the start page to log in again.
+     * @returns {Promise<void>}
+     * @throws {SpotifyApiError} If the token cannot be refreshed
+     */
+    refreshToken() {
+        if (!this.refreshing) {
+            this.refreshing = OAuth.fetchToken("refresh_token")
+                .catch(error => {
+                    // The Accounts service answers an unusable refresh token with 400 `invalid_grant`.
+                    if (error instanceof SpotifyApiError && error.status === 400) {
+                        OAuth.clearTokens();
+                        window.location.href = "./";
+                    }
+                    throw error;
+                })
+                .finally(() => this.refreshing = null);
+        }
+        return this.refreshing;
+    }
+
+    /**
+     * Get an access token, refreshing it first if it expires within the next minute.
+     * @returns {Promise<string>} An access token
+     * @throws {SpotifyApiError} If no user has logged in
+     */
+    async getToken() {
+        if (!this.isLoggedIn()) throw new SpotifyApiError(401, "No user is logged in");
+        if (localStorage.getItem("expires_at") - Math.floor(Date.now() / 1000) <= expiryMargin) {
+            await this.refreshToken();
+        }
+        return localStorage.getItem("access_token");
+    }
+
+    /**
+     * Make sure the stored token holds some scopes. If any is missing, the user is sent to consent to the missing scopes and then brought back to the current page.
+     * @param {string[]} scopes The scopes needed.
+     * @throws {SpotifyApiError} If a scope is missing, as the request would be forbidden
+     */
+    requireScopes(scopes) {
+        const granted = OAuth.getGrantedScopes();
+        // Tokens fetched before the granted scopes were stored cannot be checked, let the Web API decide.
+        if (granted === null) return;
+        const missing = scopes.filter(scope => !granted.includes(scope));
+        if (!missing.length) return;
+        if (!this.consenting) {
+            this.consenting = true;
+            OAuth.authorize([...granted, ...missing], window.location.href);
+        }
+        throw new SpotifyApiError(403, `Breadcrumbs needs your permission for ${missing.join(", ")}, redirecting to Spotify...`);
+    }
+
+    /**
+     * Send an authorized request to the Web API. A request rejected with 401 is replayed once with a refreshed token.
+     * @param {string} url The address of the resource.
+     * @param {RequestInit} init The options of the request, as passed to `fetch`, without the `Authorization` header.
+     * @returns {Promise<object>|Promise<void>} The parsed JSON body, or nothing if the response has no body
+     * @throws {SpotifyApiError} If the response is unsuccessful and cannot be retried
+     */
+    async send(url, init) {
+        const token = await this.getToken();
+        try {
+            return await request(url, withAuthorization(init, token));
+        }
+        catch (error) {
+            if (!(error instanceof SpotifyApiError) || error.status !== 401) throw error;
+            // Another request may have refreshed the token while this one was in flight.
+            if (localStorage.getItem("access_token") === token) await this.refreshToken();
+            return request(url, withAuthorization(init, localStorage.getItem("access_token")));
+        }
+    }
+
+    /**
+     * Send an authorized request to the Web API, or answer it from the cache. Responses to `GET` requests for catalog data and top items are cached for as long as `Cache.getTTL` allows.
+     * @param {string} url The address of the resource.
+     * @param {RequestInit} init The options of the request, as passed to `fetch`, without the `Authorization` header.
+     * @param {string[]} scopes The scopes the endpoint requires.
+     * @returns {Promise<object>|Promise<void>} The parsed JSON body, or nothing if the response has no body
+     * @throws {SpotifyApiError} If the response is unsuccessful and cannot be retried, or if a scope is missing
+     */
+    async request(url, init={}, scopes=[]) {
+        this.requireScopes(scopes);
+        const ttl = (init.method ?? "GET") === "GET" ? Cache.getTTL(url) : 0;
+        if (ttl) {
+            const cached = await Cache.get(url);
+            if (cached !== undefined) return cached;
+        }
+        const response = await this.send(url, init);
+        if (ttl && response !== undefined) await Cache.set(url, response, ttl);
+        return response;
+    }
+}
+
+/**
+ * Add the `Authorization` header to the options of a request.
+ * @param {RequestInit} init The options of the request.
+ * @param {string} token The access token to send.
+ * @returns {RequestInit} The options of the authorized request
+ */
+function withAuthorization(init, token) {
+    return {
+        ...init,
+        headers: {
+            ...init.headers,
+            "Authorization": `Bearer ${token}`
+        }
+    };
+}
+
+/**
+ * The client shared by the whole app.
+ * @type {SpotifyClient}
+ */
+export const client = new SpotifyClient();
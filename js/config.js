@@ -0,0 +1,38 @@
+/**
+ * The host names the app may be served from when it talks to a stand-in for the Spotify services. Anywhere else, a stand-in would receive the user's tokens.
+ * @type {string[]}
+ */
+const localHostnames = ["localhost", "127.0.0.1"];
+
+/**
+ * The origin of a stand-in for the Spotify services, like the mock server in `mock/`, or `null` to use Spotify. Set it by opening any page served from `localhost` with `?api_origin=http://localhost:8080`, and clear it with an empty `?api_origin=`. Elsewhere the setting is ignored and cleared.
+ * @type {string|null}
+ */
+export const apiOrigin = (() => {
+    if (!localHostnames.includes(window.location.hostname)) {
+        localStorage.removeItem("api_origin");
+        return null;
+    }
+    const override = new URLSearchParams(window.location.search).get("api_origin");
+    if (override) localStorage.setItem("api_origin", override);
+    else if (override !== null) localStorage.removeItem("api_origin");
+    return localStorage.getItem("api_origin");
+})();
+
+/**
+ * The address of the start page. A stand-in for Spotify serves the app itself.
+ * @type {string}
+ */
+export const home = apiOrigin ? window.location.origin : "https://joshcanton6.github.io/breadcrumbs";
+
+/**
+ * The base address of the Web API.
+ * @type {string}
+ */
+export const apiBaseURL = apiOrigin ? `${apiOrigin}/v1` : "https://api.spotify.com/v1";
+
+/**
+ * The base address of the Accounts service, which serves the authorization page and the token endpoint.
+ * @type {string}
+ */
+export const accountsBaseURL = apiOrigin ?? "https://accounts.spotify.com";
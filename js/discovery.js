@@ -0,0 +1,120 @@
+import * as Spotify from "./spotify.js"
+import * as Paging from "./paging.js"
+import * as Batch from "./batch.js"
+
+/**
+ * Get every playlist owned or followed by the user.
+ * @returns {Promise<object[]>} Simplified playlist objects
+ */
+export function getUsersPlaylists() {
+    return Paging.collectAll(Spotify.getCurrentUsersPlaylists(50));
+}
+
+/**
+ * Read the Spotify ID of a playlist from a playlist URL, like `https://open.spotify.com/playlist/<id>?si=...`, or URI, like `spotify:playlist:<id>`.
+ * @param {string} text The URL or URI.
+ * @returns {string|null} The Spotify ID, or `null` if the text is neither a playlist URL nor a playlist URI
+ */
+export function parsePlaylistId(text) {
+    const match = text.trim().match(/^(?:spotify:playlist:|https?:\/\/open\.spotify\.com\/(?:intl-[\w-]+\/)?playlist\/)([^/?#\s]+)/);
+    return match?.[1] ?? null;
+}
+
+/**
+ * Look up a playlist from its URL or URI.
+ * @param {string} text The URL or URI.
+ * @returns {Promise<object|null>} The playlist's `id`, `name`, `owner` and `tracks.total`, or `null` if the text is neither a playlist URL nor a playlist URI
+ */
+export async function resolvePlaylist(text) {
+    const playlist_id = parsePlaylistId(text);
+    if (!playlist_id) return null;
+    return Spotify.getPlaylist(playlist_id, null, "id,name,owner(display_name),tracks(total)");
+}
+
+/**
+ * Get the unique artists of the tracks in a playlist. Local tracks and episodes are skipped.
+ * @param {string} playlist_id The Spotify ID of the playlist.
+ * @returns {Promise<object[]>} Simplified artist objects, in order of first appearance
+ */
+export async function getPlaylistArtists(playlist_id) {
+    const items = await Paging.collectAll(Spotify.getPlaylistItems(playlist_id, null, "next,items(is_local,track(type,artists(id,name)))", 50));
+    const artists = new Map();
+    for (const item of items) {
+        if (item["is_local"] || !item["track"] || item["track"]["type"] !== "track") continue;
+        for (const artist of item["track"]["artists"]) {
+            if (artist["id"] && !artists.has(artist["id"])) artists.set(artist["id"], artist);
+        }
+    }
+    return [...artists.values()];
+}
+
+/**
+ * Get the albums of each artist, without the albums already found for a previous artist.
+ * @param {string[]} artist_ids The Spotify IDs of the artists.
+ * @param {string} include_groups A comma-separated list of the album groups to include. Valid values are: `album`, `single`, `appears_on`, and `compilation`.
+ * @returns {Promise<Map<string, object>>} Simplified album objects by Spotify ID, each with the `source_artist_id` it was found for
+ */
+async function getAlbumsOfArtists(artist_ids, include_groups) {
+    const albumsPerArtist = await Batch.mapConcurrent(artist_ids, artist_id => {
+        return Paging.collectAll(Spotify.getArtistsAlbums(artist_id, include_groups, null, 50));
+    });
+    const albums = new Map();
+    artist_ids.forEach((artist_id, i) => {
+        for (const album of albumsPerArtist[i]) {
+            if (!albums.has(album["id"])) albums.set(album["id"], {...album, "source_artist_id": artist_id});
+        }
+    });
+    return albums;
+}
+
+/**
+ * Get every track of an album. Full album objects only include the first page of their tracks, the rest is fetched with `getAlbumTracks`.
+ * @param {object} album A full album object.
+ * @returns {Promise<object[]>} Simplified track objects
+ */
+async function getAllAlbumTracks(album) {
+    if (!album["tracks"]["next"]) return album["tracks"]["items"];
+    return Paging.collectAll(Spotify.getAlbumTracks(album["id"], null, 50));
+}
+
+/**
+ * Get the tracks of albums that are by the artist each album was found for. Tracks by that artist that appear on several albums, like a single that was later put on an album, are only kept once.
+ * @param {Map<string, object>} albums Simplified album objects by Spotify ID, each with the `source_artist_id` it was found for.
+ * @returns {Promise<object[]>} Simplified track objects, each with its simplified `album` and the `source_artist` it was found for
+ */
+export async function getSourceArtistTracks(albums) {
+    const fullAlbums = (await Spotify.getSeveralAlbums([...albums.keys()]))["albums"].filter(album => album);
+    const tracksPerAlbum = await Batch.mapConcurrent(fullAlbums, getAllAlbumTracks);
+
+    const pool = [];
+    const seen = new Set();
+    fullAlbums.forEach((fullAlbum, i) => {
+        const {tracks, ...album} = {...fullAlbum, ...albums.get(fullAlbum["id"])};
+        for (const track of tracksPerAlbum[i]) {
+            const source_artist = track["artists"].find(artist => artist["id"] === album["source_artist_id"]);
+            // Compilations and appearances also hold tracks by other artists.
+            if (!source_artist) continue;
+            const key = `${track["name"].toLowerCase()}|${track["artists"].map(artist => artist["id"]).join(",")}`;
+            if (seen.has(track["id"]) || seen.has(key)) continue;
+            seen.add(track["id"]);
+            seen.add(key);
+            pool.push({...track, album, source_artist});
+        }
+    });
+    return pool;
+}
+
+/**
+ * Build the pool of candidate tracks for a mix: every track of the albums and singles released by the seed artists and by the artists of a playlist. Tracks by a seed artist that appear on several releases, like a single that was later put on an album, are only kept once.
+ * @param {string[]} artist_ids The Spotify IDs of the seed artists.
+ * @param {string} playlist_id The Spotify ID of a playlist whose artists are added to the seed artists.
+ * @param {string} include_groups A comma-separated list of the album groups to include. Valid values are: `album`, `single`, `appears_on`, and `compilation`.
+ * @returns {Promise<object[]>} Simplified track objects, each with its simplified `album` and the `source_artist` it was found for
+ */
+export async function buildTrackPool(artist_ids, playlist_id=null, include_groups="album,single") {
+    const seeds = new Set(artist_ids);
+    if (playlist_id) {
+        for (const artist of await getPlaylistArtists(playlist_id)) seeds.add(artist["id"]);
+    }
+    return getSourceArtistTracks(await getAlbumsOfArtists([...seeds], include_groups));
+}
@@ -0,0 +1,157 @@
+/**
+ * The export formats, each with its file extension, media type and serializer.
+ * @type {object}
+ */
+const formats = {
+    "csv": {"extension": "csv", "type": "text/csv", "serialize": toCSV},
+    "json": {"extension": "json", "type": "application/json", "serialize": toJSON},
+    "m3u": {"extension": "m3u8", "type": "audio/x-mpegurl", "serialize": toM3U},
+    "xspf": {"extension": "xspf", "type": "application/xspf+xml", "serialize": toXSPF}
+};
+
+/**
+ * The columns of CSV exports, in order.
+ * @type {string[]}
+ */
+const columns = ["name", "artists", "album", "release_date", "duration_ms", "isrc", "popularity", "uri", "url"];
+
+/**
+ * Pick the exported details of a track.
+ * @param {object} track A full track object, as returned by `getSeveralTracks`.
+ * @returns {object} The track's `name`, `artists` (names), `album` (name), `release_date`, `duration_ms`, `isrc`, `popularity`, `uri` and `url`
+ */
+export function describe(track) {
+    return {
+        "name": track["name"],
+        "artists": track["artists"].map(artist => artist["name"]),
+        "album": track["album"]["name"],
+        "release_date": track["album"]["release_date"],
+        "duration_ms": track["duration_ms"],
+        "isrc": track["external_ids"]?.["isrc"] ?? null,
+        "popularity": track["popularity"],
+        "uri": track["uri"],
+        "url": track["external_urls"]["spotify"]
+    };
+}
+
+/**
+ * Quote a CSV field if it needs to be.
+ * @param {*} value The value of the field.
+ * @returns {string} The field
+ */
+function csvField(value) {
+    const text = String(value ?? "");
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escape text for XML.
+ * @param {*} value The text.
+ * @returns {string} The escaped text
+ */
+function xmlText(value) {
+    return String(value ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * Serialize tracks as CSV, with a header row and the artists separated by semicolons.
+ * @param {object[]} tracks Full track objects.
+ * @returns {string} The CSV document
+ */
+function toCSV(tracks) {
+    const rows = tracks.map(track => {
+        const details = describe(track);
+        return columns.map(column => csvField(column === "artists" ? details[column].join("; ") : details[column])).join(",");
+    });
+    return [columns.join(","), ...rows].join("\r\n") + "\r\n";
+}
+
+/**
+ * Serialize tracks as JSON.
+ * @param {object[]} tracks Full track objects.
+ * @param {string} title The title of the mix.
+ * @returns {string} The JSON document
+ */
+function toJSON(tracks, title) {
+    return JSON.stringify({title, "tracks": tracks.map(describe)}, null, 4);
+}
+
+/**
+ * Serialize tracks as an extended M3U playlist of Spotify URLs.
+ * @param {object[]} tracks Full track objects.
+ * @param {string} title The title of the mix.
+ * @returns {string} The M3U playlist
+ */
+function toM3U(tracks, title) {
+    const entries = tracks.map(track => {
+        const details = describe(track);
+        return `#EXTINF:${Math.round(details["duration_ms"] / 1000)},${details["artists"].join(", ")} - ${details["name"]}\n${details["url"]}`;
+    });
+    return ["#EXTM3U", `#PLAYLIST:${title}`, ...entries].join("\n") + "\n";
+}
+
+/**
+ * Serialize tracks as an XSPF playlist. Each track is identified by its Spotify URI and its ISRC.
+ * @param {object[]} tracks Full track objects.
+ * @param {string} title The title of the mix.
+ * @returns {string} The XSPF document
+ */
+function toXSPF(tracks, title) {
+    const entries = tracks.map(track => {
+        const details = describe(track);
+        return `
+        <track>
+            <location>${xmlText(details["url"])}</location>
+            <identifier>${xmlText(details["uri"])}</identifier>${details["isrc"] ? `
+            <identifier>urn:isrc:${xmlText(details["isrc"])}</identifier>` : ""}
+            <title>${xmlText(details["name"])}</title>
+            <creator>${xmlText(details["artists"].join(", "))}</creator>
+            <album>${xmlText(details["album"])}</album>
+            <duration>${details["duration_ms"]}</duration>
+        </track>`;
+    });
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<playlist version="1" xmlns="http://xspf.org/ns/0/">
+    <title>${xmlText(title)}</title>
+    <date>${new Date().toISOString()}</date>
+    <trackList>${entries.join("")}
+    </trackList>
+</playlist>
+`;
+}
+
+/**
+ * Download text as a file.
+ * @param {string} content The content of the file.
+ * @param {string} type The media type of the file.
+ * @param {string} filename The name of the file. Characters that are not safe in file names are dropped.
+ */
+export function download(content, type, filename) {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([content], {type}));
+    link.download = filename.replace(/[\\/:*?"<>|]+/g, "").trim() || "breadcrumbs";
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Serialize tracks to an export format.
+ * @param {object[]} tracks Full track objects, as returned by `getSeveralTracks`.
+ * @param {string} format The format. Valid values: `csv`, `json`, `m3u` (extended M3U) and `xspf`.
+ * @param {string} title The title of the mix, used by the formats that have one.
+ * @returns {string} The exported document
+ */
+export function serialize(tracks, format, title) {
+    return formats[format]["serialize"](tracks, title);
+}
+
+/**
+ * Download tracks in an export format.
+ * @param {object[]} tracks Full track objects, as returned by `getSeveralTracks`.
+ * @param {string} format The format. Valid values: `csv`, `json`, `m3u` (extended M3U) and `xspf`.
+ * @param {string} title The title of the mix, also used as the file name.
+ */
+export function exportTracks(tracks, format, title) {
+    const {extension, type} = formats[format];
+    download(serialize(tracks, format, title), type, `${title}.${extension}`);
+}
@@ -0,0 +1,144 @@
+import * as Spotify from "./spotify.js"
+
+/**
+ * Replace the simplified tracks of a pool with full track objects, which also hold the popularity, ISRC and album release date of each track. The `source_artist` and `album_group` found while building the pool are kept.
+ * Tracks are requested for the user's market, so a track that cannot be played there is relinked to a copy that can: the copy takes its place, with the original in `linked_from`.
+ * @param {object[]} tracks Track objects with at least an `id`.
+ * @returns {Promise<object[]>} Full track objects, in the same order. Tracks that no longer exist or cannot be played in the market are dropped, and so are tracks relinked to a track already in the pool.
+ */
+export async function hydrate(tracks) {
+    const fullTracks = (await Spotify.getSeveralTracks(tracks.map(track => track["id"])))["tracks"];
+    const seen = new Set();
+    return tracks.flatMap((track, i) => {
+        const fullTrack = fullTracks[i];
+        if (!fullTrack || fullTrack["is_playable"] === false || seen.has(fullTrack["id"])) return [];
+        seen.add(fullTrack["id"]);
+        return [{
+            ...fullTrack,
+            "album": {
+                ...fullTrack["album"],
+                ...(track["album"]?.["album_group"] && {"album_group": track["album"]["album_group"]})
+            },
+            ...(track["source_artist"] && {"source_artist": track["source_artist"]})
+        }];
+    });
+}
+
+/**
+ * Normalize a release date of any precision (`2024`, `2024-05` or `2024-05-17`) to a full date, so that dates compare as strings.
+ * @param {string} date A release date.
+ * @returns {string} A date in the `YYYY-MM-DD` format
+ */
+export function fullDate(date) {
+    return `${date}-01-01`.slice(0, 10);
+}
+
+/**
+ * Keep tracks within a popularity range.
+ * @param {number} min The lowest popularity to keep, between 0 and 100.
+ * @param {number} max The highest popularity to keep, between 0 and 100.
+ * @returns {function(object): boolean} A filter
+ */
+export function popularity(min=0, max=100) {
+    return track => track["popularity"] >= min && track["popularity"] <= max;
+}
+
+/**
+ * Keep tracks released within a date range.
+ * @param {string} after The earliest release date to keep, in the `YYYY-MM-DD` format. `null` for no lower bound.
+ * @param {string} before The latest release date to keep, in the `YYYY-MM-DD` format. `null` for no upper bound.
+ * @returns {function(object): boolean} A filter
+ */
+export function releaseDate(after=null, before=null) {
+    return track => {
+        const date = fullDate(track["album"]["release_date"]);
+        return (!after || date >= after) && (!before || date <= before);
+    };
+}
+
+/**
+ * Keep tracks by some artists, or drop tracks by some artists. Artists are matched on any of the artists of a track, by Spotify ID or by name regardless of case.
+ * @param {string[]} include The artists to keep. An empty array keeps every artist.
+ * @param {string[]} exclude The artists to drop.
+ * @returns {function(object): boolean} A filter
+ */
+export function artists(include=[], exclude=[]) {
+    const normalize = artists => new Set(artists.map(artist => artist.trim().toLowerCase()));
+    const included = normalize(include);
+    const excluded = normalize(exclude);
+    return track => {
+        const keys = track["artists"].flatMap(artist => [artist["id"].toLowerCase(), artist["name"].toLowerCase()]);
+        return (!included.size || keys.some(key => included.has(key))) && !keys.some(key => excluded.has(key));
+    };
+}
+
+/**
+ * Drop tracks with explicit lyrics.
+ * @returns {function(object): boolean} A filter
+ */
+export function clean() {
+    return track => !track["explicit"];
+}
+
+/**
+ * Keep tracks within a duration range.
+ * @param {number} min The shortest duration to keep, in milliseconds.
+ * @param {number} max The longest duration to keep, in milliseconds.
+ * @returns {function(object): boolean} A filter
+ */
+export function duration(min=0, max=Infinity) {
+    return track => track["duration_ms"] >= min && track["duration_ms"] <= max;
+}
+
+/**
+ * Keep tracks from some kinds of releases. The album group of the release, i.e. its relation to the artist it was found for, is used when known, otherwise its album type.
+ * @param {string[]} groups The album groups to keep. Valid values are: `album`, `single`, `compilation`, and `appears_on`.
+ * @returns {function(object): boolean} A filter
+ */
+export function albumGroup(groups) {
+    return track => groups.includes(track["album"]["album_group"] ?? track["album"]["album_type"]);
+}
+
+/**
+ * Build the filters described by a set of options. Options that are missing or empty add no filter.
+ * @param {object} options The filter options.
+ * @param {number} options.min_popularity The lowest popularity to keep.
+ * @param {number} options.max_popularity The highest popularity to keep.
+ * @param {string} options.released_after The earliest release date to keep, in the `YYYY-MM-DD` format.
+ * @param {string} options.released_before The latest release date to keep, in the `YYYY-MM-DD` format.
+ * @param {string[]} options.include_artists The artists to keep, by Spotify ID or name.
+ * @param {string[]} options.exclude_artists The artists to drop, by Spotify ID or name.
+ * @param {boolean} options.explicit Whether to keep tracks with explicit lyrics. Default: `true`.
+ * @param {number} options.min_duration The shortest duration to keep, in seconds.
+ * @param {number} options.max_duration The longest duration to keep, in seconds.
+ * @param {string[]} options.album_groups The album groups to keep.
+ * @returns {Array<function(object): boolean>} The filters
+ */
+export function fromOptions(options) {
+    const filters = [];
+    if (options.min_popularity != null || options.max_popularity != null) {
+        filters.push(popularity(options.min_popularity ?? 0, options.max_popularity ?? 100));
+    }
+    if (options.released_after || options.released_before) {
+        filters.push(releaseDate(options.released_after || null, options.released_before || null));
+    }
+    if (options.include_artists?.length || options.exclude_artists?.length) {
+        filters.push(artists(options.include_artists ?? [], options.exclude_artists ?? []));
+    }
+    if (options.explicit === false) filters.push(clean());
+    if (options.min_duration != null || options.max_duration != null) {
+        filters.push(duration((options.min_duration ?? 0) * 1000, (options.max_duration ?? Infinity) * 1000));
+    }
+    if (options.album_groups?.length) filters.push(albumGroup(options.album_groups));
+    return filters;
+}
+
+/**
+ * Keep the tracks that pass every filter.
+ * @param {object[]} tracks Full track objects.
+ * @param {Array<function(object): boolean>} filters The filters to apply.
+ * @returns {object[]} The tracks that pass, in the same order
+ */
+export function apply(tracks, filters) {
+    return tracks.filter(track => filters.every(filter => filter(track)));
+}
@@ -0,0 +1,8 @@
+/**
+ * Escape text for HTML, so that names chosen by Spotify users, like playlist and device names, show up as text in the page instead of being read as markup.
+ * @param {*} value The text.
+ * @returns {string} The escaped text
+ */
+export function escape(value) {
+    return String(value ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
@@ -1,29 +1,49 @@
 import * as OAuth from "./oauth.js"
+import * as Cache from "./cache.js"
+import * as Config from "./config.js"
+import * as HTML from "./html.js"
 
-const home = "https://joshcanton6.github.io/breadcrumbs"
+const home = Config.home;
 const redirect_uri = OAuth.redirect_uri;
-const client_id = OAuth.client_id;
-const scope = encodeURIComponent("user-top-read");
+const scopes = [
+    "user-top-read",
+    "user-read-private",
+    "user-follow-read",
+    "playlist-read-private",
+    "playlist-modify-public",
+    "playlist-modify-private",
+    "ugc-image-upload"
+];
 const spotifyLoginButton = document.getElementById("spotify-login-button");
 
 function login() {
-    const authOptions = new URLSearchParams({
-        client_id,
-        "response_type": "code",
-        redirect_uri,
-        scope
-    });
-    window.location.href = `https://accounts.spotify.com/authorize?${authOptions}`;
+    OAuth.authorize(scopes);
 }
 
 async function redirect() {
     const urlParams = new URLSearchParams(window.location.search);
-    if (urlParams.has("code")) {
-        await OAuth.fetchToken("authorization_code", urlParams.get("code"));
-        window.location.href = `${home}/app`;
+    const state = localStorage.getItem("state");
+    localStorage.removeItem("state");
+    if ((urlParams.has("code") || urlParams.has("error")) && (!state || urlParams.get("state") !== state)) {
+        document.getElementById("redirect-message").innerHTML = "Error: state_mismatch";
+    }
+    else if (urlParams.has("code")) {
+        try {
+            await OAuth.fetchToken("authorization_code", urlParams.get("code"));
+        }
+        catch (error) {
+            // The code may have expired or been used already, for instance when this page is reloaded.
+            document.getElementById("redirect-message").innerHTML = `Error: ${HTML.escape(error.message)} <a href="${home}">Log in again</a>`;
+            return;
+        }
+        // Cached top items may belong to another user. A cache that cannot be cleared must not block the login.
+        await Cache.clear().catch(() => {});
+        const return_to = localStorage.getItem("return_to");
+        localStorage.removeItem("return_to");
+        window.location.href = return_to ?? `${home}/app`;
     }
     else if (urlParams.has("error")) {
-        document.getElementById("redirect-message").innerHTML = `Error: ${urlParams.get("error")}`;
+        document.getElementById("redirect-message").innerHTML = `Error: ${HTML.escape(urlParams.get("error"))}`;
     }
     else {
         window.location.href = home;
@@ -0,0 +1,102 @@
+import * as Spotify from "./spotify.js"
+import * as Paging from "./paging.js"
+import * as Batch from "./batch.js"
+
+/**
+ * The fields of playlist items needed to index their tracks.
+ * @type {string}
+ */
+const playlistItemFields = "next,items(track(type,id,external_ids(isrc),linked_from(id)))";
+
+/**
+ * Get the tracks saved in the user's library.
+ * @returns {Promise<object[]>} Track objects
+ */
+async function getLibraryTracks() {
+    const items = await Paging.collectAll(Spotify.getUsersSavedTracks(null, 50));
+    return items.map(item => item["track"]);
+}
+
+/**
+ * Get the tracks of every playlist the user owns or follows.
+ * @returns {Promise<object[]>} Track objects
+ */
+async function getPlaylistTracks() {
+    const playlists = await Paging.collectAll(Spotify.getCurrentUsersPlaylists(50));
+    const itemsPerPlaylist = await Batch.mapConcurrent(playlists, playlist => {
+        return Paging.collectAll(Spotify.getPlaylistItems(playlist["id"], null, playlistItemFields, 50));
+    });
+    return itemsPerPlaylist.flat().map(item => item["track"]).filter(track => track?.["type"] === "track");
+}
+
+/**
+ * Get the user's top tracks over every time range.
+ * @returns {Promise<object[]>} Track objects
+ */
+async function getTopTracks() {
+    const tracksPerRange = await Promise.all(["short_term", "medium_term", "long_term"].map(time_range => {
+        return Paging.collectAll(Spotify.getUsersTopItems("tracks", time_range, 50));
+    }));
+    return tracksPerRange.flat();
+}
+
+/**
+ * Get the tracks the user played over the last days. Spotify only keeps the last 50 plays.
+ * @param {number} recent_days How many days to look back.
+ * @returns {Promise<object[]>} Track objects
+ */
+async function getRecentlyPlayedTracks(recent_days) {
+    const after = Date.now() - recent_days * 24 * 60 * 60 * 1000;
+    const items = await Paging.collectAll(Spotify.getRecentlyPlayedTracks(50, after));
+    return items.filter(item => Date.parse(item["played_at"]) > after).map(item => item["track"]);
+}
+
+/**
+ * The sources of known tracks, by name. Each is given the number of days of recent plays to look back.
+ * @type {Object<string, function(number): Promise<object[]>>}
+ */
+const sources = {
+    "library": getLibraryTracks,
+    "playlists": getPlaylistTracks,
+    "top_tracks": getTopTracks,
+    "recently_played": getRecentlyPlayedTracks
+};
+
+/**
+ * Build an index of the tracks the user already knows, by Spotify ID and by ISRC. Indexing ISRCs also catches remasters and re-releases of a known recording, which have their own Spotify IDs.
+ * @param {string[]} from The sources to index. Valid values are: `library` (saved tracks), `playlists` (tracks of the user's playlists), `top_tracks` (top tracks over every time range) and `recently_played` (tracks played over the last days).
+ * @param {number} recent_days How many days of plays the `recently_played` source looks back.
+ * @returns {Promise<object>} The index, with the `ids` and `isrcs` sets of the known tracks
+ */
+export async function buildIndex(from=Object.keys(sources), recent_days=7) {
+    const index = {"ids": new Set(), "isrcs": new Set()};
+    const tracksPerSource = await Promise.all(from.map(source => sources[source](recent_days)));
+    for (const track of tracksPerSource.flat()) {
+        if (!track) continue;
+        if (track["id"]) index["ids"].add(track["id"]);
+        if (track["linked_from"]?.["id"]) index["ids"].add(track["linked_from"]["id"]);
+        if (track["external_ids"]?.["isrc"]) index["isrcs"].add(track["external_ids"]["isrc"].toUpperCase());
+    }
+    return index;
+}
+
+/**
+ * Whether the user already knows a track.
+ * @param {object} index An index built with `buildIndex`.
+ * @param {object} track A track object. Only full track objects can be matched by ISRC.
+ * @returns {boolean}
+ */
+export function isKnown(index, track) {
+    return index["ids"].has(track["id"])
+        || index["ids"].has(track["linked_from"]?.["id"])
+        || index["isrcs"].has(track["external_ids"]?.["isrc"]?.toUpperCase());
+}
+
+/**
+ * Drop the tracks the user already knows.
+ * @param {object} index An index built with `buildIndex`.
+ * @returns {function(object): boolean} A filter, as taken by `Filters.apply`
+ */
+export function unknown(index) {
+    return track => !isKnown(index, track);
+}
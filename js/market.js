@@ -0,0 +1,60 @@
+import * as Spotify from "./spotify.js"
+
+/**
+ * The localStorage key of the market set by hand, which replaces the user's country.
+ * @type {string}
+ */
+const overrideKey = "market_override";
+
+/**
+ * The market of the user's account, once it has been looked up, or `null` if it is not one of the available markets.
+ * @type {Promise<string|null>|null}
+ */
+let userMarket = null;
+
+/**
+ * Get the market set by hand.
+ * @returns {string|null} The ISO 3166-1 alpha-2 country code, or `null` if the market is not overridden
+ */
+export function getOverride() {
+    return localStorage.getItem(overrideKey);
+}
+
+/**
+ * Set the market by hand, for testing how the app behaves elsewhere, or go back to the user's country.
+ * @param {string|null} market An ISO 3166-1 alpha-2 country code, or `null` to clear the override.
+ * @throws {Error} If the market is not a two letter country code
+ */
+export function setOverride(market) {
+    if (!market) {
+        localStorage.removeItem(overrideKey);
+        return;
+    }
+    market = market.trim().toUpperCase();
+    if (!/^[A-Z]{2}$/.test(market)) throw new Error(`${market} is not a two letter country code`);
+    localStorage.setItem(overrideKey, market);
+}
+
+/**
+ * Look up the country of the user's account and check that Spotify is available there.
+ * @returns {Promise<string|null>} The ISO 3166-1 alpha-2 country code, or `null` if it is not one of the available markets
+ */
+async function lookUpUserMarket() {
+    const [profile, {markets}] = await Promise.all([Spotify.getCurrentUsersProfile(), Spotify.getAvailableMarkets()]);
+    return markets.includes(profile["country"]) ? profile["country"] : null;
+}
+
+/**
+ * Get the market to request content for: the market set by hand, or else the country of the user's account. The country is looked up once per page load.
+ * @returns {Promise<string|null>} The ISO 3166-1 alpha-2 country code, or `null` if there is none, in which case content is requested for every market
+ */
+export async function getMarket() {
+    const override = getOverride();
+    if (override) return override;
+    userMarket ??= lookUpUserMarket().catch(() => {
+        // Requests go on without a market, the next one tries again.
+        userMarket = null;
+        return null;
+    });
+    return userMarket;
+}
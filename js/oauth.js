@@ -1,6 +1,73 @@
-export const redirect_uri = `https://joshcanton6.github.io/breadcrumbs/redirect`;
+import * as Config from "./config.js"
+import {request} from "./request.js"
+
+export const redirect_uri = `${Config.home}/redirect`;
 export const client_id = "70d3f1361abf4e1ab9e9e64089fabc36";
 
+/**
+ * Generates a random string of unreserved URL characters, for use as a PKCE code verifier or a `state` value.
+ * @param {number} length The length of the string. A code verifier must be between 43 and 128 characters long.
+ * @returns {string} A random string
+ */
+export function generateRandomString(length) {
+    const possible = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+    const values = crypto.getRandomValues(new Uint8Array(length));
+    return values.reduce((string, value) => string + possible[value % possible.length], "");
+}
+
+/**
+ * Derives the PKCE code challenge for a code verifier.
+ * @param {string} code_verifier The code verifier that will be sent with the token request.
+ * @returns {Promise<string>} The base64url-encoded SHA-256 hash of the code verifier
+ */
+export async function generateCodeChallenge(code_verifier) {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(code_verifier));
+    return btoa(String.fromCharCode(...new Uint8Array(digest)))
+        .replace(/=/g, "")
+        .replace(/\+/g, "-")
+        .replace(/\//g, "_");
+}
+
+/**
+ * Sends the user to the Spotify authorization page. Once they consent, Spotify sends them back to the redirect page, which fetches a token and then returns them to `return_to`.
+ * @param {string[]} scopes The scopes to request. A token only holds the scopes of the authorization it came from, so this must include the scopes already granted to keep them.
+ * @param {string} return_to The address to return to after authorizing. Defaults to the app.
+ */
+export async function authorize(scopes, return_to=null) {
+    const code_verifier = generateRandomString(64);
+    const state = generateRandomString(16);
+    localStorage.setItem("code_verifier", code_verifier);
+    localStorage.setItem("state", state);
+    if (return_to) localStorage.setItem("return_to", return_to);
+    else localStorage.removeItem("return_to");
+    const authOptions = new URLSearchParams({
+        client_id,
+        "response_type": "code",
+        redirect_uri,
+        "scope": scopes.join(" "),
+        "code_challenge_method": "S256",
+        "code_challenge": await generateCodeChallenge(code_verifier),
+        state
+    });
+    window.location.href = `${Config.accountsBaseURL}/authorize?${authOptions}`;
+}
+
+/**
+ * Get the scopes granted to the stored token.
+ * @returns {string[]|null} The granted scopes, or `null` if they are not known
+ */
+export function getGrantedScopes() {
+    const scope = localStorage.getItem("scope");
+    return scope === null ? null : scope.split(" ").filter(granted => granted);
+}
+
+/**
+ * Forgets the stored tokens, logging the user out.
+ */
+export function clearTokens() {
+    for (const key of ["access_token", "refresh_token", "expires_at", "scope"]) localStorage.removeItem(key);
+}
+
 /**
  * Fetches a token to use with the Spotify Web API.
  * @param {string} grant_type Which type of token to fetch. Acceptable values are `authorization_code` or `refresh_token`.
@@ -8,33 +75,31 @@ export const client_id = "70d3f1361abf4e1ab9e9e64089fabc36";
  */
 export async function fetchToken(grant_type, code=null) {
     let body;
-    if (grant_type === "authorization_code") body = new URLSearchParams({grant_type, code, redirect_uri});
+    if (grant_type === "authorization_code") {
+        body = new URLSearchParams({
+            grant_type,
+            code,
+            redirect_uri,
+            client_id,
+            "code_verifier": localStorage.getItem("code_verifier")
+        });
+        localStorage.removeItem("code_verifier");
+    }
     else if (grant_type === "refresh_token") body = new URLSearchParams({
         grant_type,
         "refresh_token": localStorage.getItem("refresh_token"),
         client_id
     });
-    const response = await fetch("https://accounts.spotify.com/api/token", {
+    const token = await request(`${Config.accountsBaseURL}/api/token`, {
         method: "POST",
         headers: {
-            "Content-Type": "application/x-www-form-urlencoded",
-            "Authorization": `Basic ${btoa(`${client_id}:2f409da2aebf417893ff056f9b98c3ea`)}`
+            "Content-Type": "application/x-www-form-urlencoded"
         },
         body
     });
-    const token = await response.json();
     localStorage.setItem("access_token", token["access_token"]);
-    localStorage.setItem("refresh_token", token["refresh_token"]);
+    // A refresh may or may not rotate the refresh token.
+    if (token["refresh_token"]) localStorage.setItem("refresh_token", token["refresh_token"]);
     localStorage.setItem("expires_at", Math.floor(Date.now() / 1000) + token["expires_in"]);
+    if (token["scope"] !== undefined) localStorage.setItem("scope", token["scope"]);
 }
-
-/**
- * Get the access token from local storage.
- * @returns {Promise<string>} An access token
- */
-export async function getToken() {
-    if (localStorage.getItem("expires_at") - Math.floor(Date.now() / 1000) <= 0) {
-        await fetchToken("refresh_token");
-    }
-    return localStorage.getItem("access_token");
-}
\ No newline at end of file
@@ -0,0 +1,44 @@
+import * as Spotify from "./spotify.js"
+
+/**
+ * Find the paging object in a response. Most paged endpoints return it directly, while `searchForItem` and `getFollowedArtists` wrap it in an object keyed by the item type.
+ * @param {object} response A response from a paged endpoint.
+ * @returns {object} The paging object, with its `items` and `next` properties
+ */
+function unwrap(response) {
+    if (Array.isArray(response["items"])) return response;
+    const pages = Object.values(response).filter(value => value && Array.isArray(value["items"]));
+    if (pages.length !== 1) throw new Error("Expected a response with exactly one paged set of items, search a single item type at a time");
+    return pages[0];
+}
+
+/**
+ * Iterate over the items of every page of a paged endpoint. Pages are fetched as the iteration reaches them, by following their `next` link, which works for both offset-based and cursor-based (`after`) paging.
+ * @param {Promise<object>} firstPage The first page, as returned by any endpoint wrapper that returns a paged set of items. The `limit` of the first page is kept for the following pages.
+ * @param {number} max_items The maximum number of items to iterate over. Default: all items.
+ * @returns {AsyncGenerator<object>} The items, in order
+ */
+export async function* paginate(firstPage, max_items=Infinity) {
+    let page = unwrap(await firstPage);
+    let count = 0;
+    while (count < max_items) {
+        for (const item of page["items"]) {
+            yield item;
+            if (++count >= max_items) return;
+        }
+        if (!page["next"]) return;
+        page = unwrap(await Spotify.getNext(page["next"]));
+    }
+}
+
+/**
+ * Get the items of every page of a paged endpoint.
+ * @param {Promise<object>} firstPage The first page, as returned by any endpoint wrapper that returns a paged set of items. The `limit` of the first page is kept for the following pages.
+ * @param {number} max_items The maximum number of items to get. Default: all items.
+ * @returns {Promise<object[]>} The items, in order
+ */
+export async function collectAll(firstPage, max_items=Infinity) {
+    const items = [];
+    for await (const item of paginate(firstPage, max_items)) items.push(item);
+    return items;
+}
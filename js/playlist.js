@@ -0,0 +1,270 @@
+import * as Spotify from "./spotify.js"
+import * as Paging from "./paging.js"
+import {SpotifyApiError} from "./request.js"
+
+/**
+ * The cover image uploaded to exported playlists.
+ * @type {string}
+ */
+const coverImage = "img/breadcrumbs_cover_image.jpg";
+
+/**
+ * The largest base64 encoded cover image the Web API accepts, in bytes.
+ * @type {number}
+ */
+const maxCoverSize = 256 * 1024;
+
+/**
+ * The tag at the end of the description of the synced playlist, which is how it is found again.
+ * @type {string}
+ */
+const syncTag = "#BreadcrumbsWeekly";
+
+/**
+ * The tag at the end of the description of the radar playlist, which is how it is found again.
+ * @type {string}
+ */
+const radarTag = "#BreadcrumbsRadar";
+
+/**
+ * The longest playlist description the Web API accepts, in characters.
+ * @type {number}
+ */
+const maxDescriptionLength = 300;
+
+/**
+ * How many times a sync starts over after the playlist was changed by someone else while it was being synced.
+ * @type {number}
+ */
+const maxSyncAttempts = 3;
+
+/**
+ * Load the cover image as a square, base64 encoded JPEG small enough to upload. The image is cropped to its center, scaled down and compressed further until it fits.
+ * @returns {Promise<string>} Base64 encoded JPEG image data
+ */
+export async function loadCoverImage() {
+    const image = new Image();
+    image.src = coverImage;
+    await image.decode();
+    const side = Math.min(image.naturalWidth, image.naturalHeight);
+    const canvas = document.createElement("canvas");
+    canvas.width = canvas.height = Math.min(side, 640);
+    canvas.getContext("2d").drawImage(image, (image.naturalWidth - side) / 2, (image.naturalHeight - side) / 2, side, side, 0, 0, canvas.width, canvas.height);
+    for (let quality = 0.9; quality > 0; quality -= 0.1) {
+        const data = canvas.toDataURL("image/jpeg", quality).split(",")[1];
+        if (data.length <= maxCoverSize) return data;
+    }
+    throw new Error("The cover image is too large to upload");
+}
+
+/**
+ * Save tracks as a new playlist of the current user.
+ * @param {object[]} tracks Track objects with at least a `uri`, in the order of the playlist.
+ * @param {string} name The name of the playlist.
+ * @param {string} description The description of the playlist.
+ * @param {boolean} public_playlist Whether the playlist is public.
+ * @param {boolean} cover Whether to upload the Breadcrumbs cover image.
+ * @param {function(string): void} onProgress Called with a description of each step as it starts.
+ * @returns {Promise<object>} The created playlist
+ */
+export async function saveAsPlaylist(tracks, name, description=null, public_playlist=false, cover=true, onProgress=() => {}) {
+    onProgress("Getting your profile...");
+    const user = await Spotify.getCurrentUsersProfile();
+    onProgress("Creating the playlist...");
+    const playlist = await Spotify.createPlaylist(user["id"], name, public_playlist, false, description);
+    onProgress(`Adding ${tracks.length} tracks...`);
+    await Spotify.addItemsToPlaylist(playlist["id"], tracks.map(track => track["uri"]));
+    if (cover) {
+        onProgress("Uploading the cover image...");
+        await Spotify.addCustomPlaylistCoverImage(playlist["id"], await loadCoverImage());
+    }
+    return playlist;
+}
+
+/**
+ * Find a tagged playlist among the playlists of the current user: the first playlist they own whose description ends with the tag.
+ * @param {string} user_id The Spotify user ID of the current user.
+ * @param {string} tag The tag.
+ * @returns {Promise<object|null>} A simplified playlist object, or `null` if there is no such playlist yet
+ */
+async function findTaggedPlaylist(user_id, tag) {
+    for await (const playlist of Paging.paginate(Spotify.getCurrentUsersPlaylists(50))) {
+        if (playlist["owner"]["id"] === user_id && playlist["description"]?.trimEnd().endsWith(tag)) return playlist;
+    }
+    return null;
+}
+
+/**
+ * Write the description of the synced playlist, shortening the seed summary to fit.
+ * @param {string} seeds A summary of the seeds of the mix.
+ * @returns {string} The description, ending with the sync tag
+ */
+function describeSync(seeds) {
+    const prefix = `Generated by Breadcrumbs on ${new Date().toLocaleDateString()} from `;
+    const suffix = `. ${syncTag}`;
+    const room = maxDescriptionLength - prefix.length - suffix.length;
+    return prefix + (seeds.length > room ? `${seeds.slice(0, room - 1)}…` : seeds) + suffix;
+}
+
+/**
+ * Get the snapshot ID and every item of a playlist, read from the same snapshot for the first page.
+ * @param {string} playlist_id The Spotify ID of the playlist.
+ * @param {string} market An ISO 3166-1 alpha-2 country code, by default the market from `Market.getMarket`. Each track says whether it `is_playable` in that market.
+ * @param {string} track_fields The fields of each track to get besides its `uri` and `linked_from`, in the syntax of the `fields` parameter of `getPlaylist`.
+ * @returns {Promise<{snapshot_id: string, tracks: object[], uris: string[]}>} The snapshot ID, the tracks (`null` for unavailable items) and their URIs as stored in the playlist, in order
+ */
+export async function getPlaylistState(playlist_id, market=null, track_fields=null) {
+    const fields = track_fields ? `uri,linked_from(uri),${track_fields}` : "uri,linked_from(uri)";
+    const playlist = await Spotify.getPlaylist(playlist_id, market, `snapshot_id,tracks(next,items(track(${fields})))`);
+    const tracks = (await Paging.collectAll(playlist["tracks"])).map(item => item["track"]);
+    // A relinked track is stored in the playlist under the URI it was linked from, which is the one to remove or move it by.
+    return {"snapshot_id": playlist["snapshot_id"], tracks, "uris": tracks.map(track => track?.["linked_from"]?.["uri"] ?? track?.["uri"] ?? null)};
+}
+
+/**
+ * Count the occurrences of each item.
+ * @param {string[]} uris Item URIs.
+ * @returns {Map<string, number>} The number of occurrences of each URI
+ */
+function countItems(uris) {
+    const counts = new Map();
+    for (const uri of uris) counts.set(uri, (counts.get(uri) ?? 0) + 1);
+    return counts;
+}
+
+/**
+ * Work out the changes that turn the items of a playlist into new items: remove the items that are not kept, append the new ones, then move runs of items into place. Removing by URI removes every occurrence, so an item that is kept fewer times than it appears is removed and appended again as many times as it is kept.
+ * @param {string[]} current The URIs of the items of the playlist.
+ * @param {string[]} target The URIs of the new items.
+ * @returns {{removals: string[], additions: string[], moves: object[]}|null} The URIs to remove, the URIs to append and the moves, each with its `range_start`, `insert_before` and `range_length`, in order; or `null` if the playlist has unavailable items without a URI, which can only be replaced
+ */
+function diffPlaylist(current, target) {
+    if (current.includes(null)) return null;
+    const currentCounts = countItems(current);
+    const targetCounts = countItems(target);
+    const removals = [...currentCounts.keys()].filter(uri => (targetCounts.get(uri) ?? 0) < currentCounts.get(uri));
+    const removed = new Set(removals);
+    const items = current.filter(uri => !removed.has(uri));
+    const remaining = countItems(items);
+    const additions = target.filter(uri => {
+        if (remaining.get(uri)) {
+            remaining.set(uri, remaining.get(uri) - 1);
+            return false;
+        }
+        return true;
+    });
+    items.push(...additions);
+    const moves = [];
+    for (let i = 0; i < target.length; i++) {
+        if (items[i] === target[i]) continue;
+        const range_start = items.indexOf(target[i], i);
+        let range_length = 1;
+        while (items[range_start + range_length] !== undefined && items[range_start + range_length] === target[i + range_length]) range_length++;
+        items.splice(i, 0, ...items.splice(range_start, range_length));
+        moves.push({range_start, "insert_before": i, range_length});
+        i += range_length - 1;
+    }
+    return {removals, additions, moves};
+}
+
+/**
+ * Make the items of a playlist match new items, with whichever takes fewer requests: applying the differences, or replacing every item. Every removal and move is made against the snapshot ID returned by the previous change, starting from the snapshot the differences were worked out from.
+ * @param {string} playlist_id The Spotify ID of the playlist.
+ * @param {{snapshot_id: string, uris: string[]}} state The current state of the playlist, as returned by `getPlaylistState`.
+ * @param {string[]} uris The URIs of the new items.
+ * @param {function(string): void} onProgress Called with a description of each step as it starts.
+ * @param {boolean} replace Whether the items may be replaced. Replacing resets the date every item was added.
+ */
+export async function applyItems(playlist_id, state, uris, onProgress=() => {}, replace=true) {
+    const diff = diffPlaylist(state["uris"], uris);
+    if (!diff && !replace) throw new Error("The playlist has unavailable items that can only be removed by replacing every item");
+    const replaceCost = Math.max(1, Math.ceil(uris.length / 100));
+    const diffCost = diff && Math.ceil(diff["removals"].length / 100) + Math.ceil(diff["additions"].length / 100) + diff["moves"].length;
+    if (!diff || (replace && diffCost > replaceCost)) {
+        onProgress(`Replacing the ${uris.length} tracks...`);
+        await Spotify.updatePlaylistItems(playlist_id, uris.slice(0, 100));
+        if (uris.length > 100) await Spotify.addItemsToPlaylist(playlist_id, uris.slice(100));
+        return;
+    }
+    let snapshot_id = state["snapshot_id"];
+    if (diff["removals"].length) {
+        onProgress(`Removing ${diff["removals"].length} tracks...`);
+        snapshot_id = (await Spotify.removePlaylistItems(playlist_id, diff["removals"].map(uri => ({uri})), snapshot_id))["snapshot_id"];
+    }
+    if (diff["additions"].length) {
+        onProgress(`Adding ${diff["additions"].length} tracks...`);
+        snapshot_id = (await Spotify.addItemsToPlaylist(playlist_id, diff["additions"]))["snapshot_id"];
+    }
+    if (diff["moves"].length) onProgress(`Reordering the tracks...`);
+    for (const {range_start, insert_before, range_length} of diff["moves"]) {
+        snapshot_id = (await Spotify.updatePlaylistItems(playlist_id, null, range_start, insert_before, range_length, snapshot_id))["snapshot_id"];
+    }
+}
+
+/**
+ * Sync tracks to the synced playlist of the current user, creating it the first time. Only the changes between the playlist and the tracks are applied, then the playlist is read back: if someone else changed it meanwhile, the sync starts over from its new state.
+ * @param {object[]} tracks Track objects with at least a `uri`, in the order of the playlist.
+ * @param {string} name The name of the playlist.
+ * @param {string} seeds A summary of the seeds of the mix, for the description.
+ * @param {boolean} public_playlist Whether the playlist is public.
+ * @param {boolean} cover Whether to upload the Breadcrumbs cover image when creating the playlist.
+ * @param {function(string): void} onProgress Called with a description of each step as it starts.
+ * @returns {Promise<object>} The synced playlist
+ */
+export async function syncPlaylist(tracks, name, seeds, public_playlist=false, cover=true, onProgress=() => {}) {
+    const description = describeSync(seeds);
+    onProgress("Getting your profile...");
+    const user = await Spotify.getCurrentUsersProfile();
+    onProgress("Looking for your synced playlist...");
+    const playlist = await findTaggedPlaylist(user["id"], syncTag);
+    if (!playlist) return saveAsPlaylist(tracks, name, description, public_playlist, cover, onProgress);
+    const uris = tracks.map(track => track["uri"]);
+    for (let attempt = 1; ; attempt++) {
+        onProgress("Reading the playlist...");
+        const state = await getPlaylistState(playlist["id"]);
+        try {
+            await applyItems(playlist["id"], state, uris, onProgress);
+        }
+        catch (error) {
+            // A stale snapshot ID is refused with a 400.
+            if (!(error instanceof SpotifyApiError && [400, 409, 412].includes(error.status)) || attempt === maxSyncAttempts) throw error;
+            continue;
+        }
+        const synced = await getPlaylistState(playlist["id"]);
+        if (synced["uris"].join() === uris.join()) break;
+        if (attempt === maxSyncAttempts) throw new Error("The playlist kept changing while it was being synced, try again later");
+    }
+    onProgress("Updating the details...");
+    await Spotify.changePlaylistDetails(playlist["id"], name, public_playlist, null, description);
+    return {...playlist, name, description};
+}
+
+/**
+ * Add tracks to the radar playlist of the current user, creating it the first time. Tracks already in the playlist are not added again.
+ * @param {object[]} tracks Track objects with at least a `uri`, in the order to add them.
+ * @param {function(string): void} onProgress Called with a description of each step as it starts.
+ * @returns {Promise<{playlist: object, added: number}>} The radar playlist and how many tracks were added
+ */
+export async function addToRadarPlaylist(tracks, onProgress=() => {}) {
+    onProgress("Getting your profile...");
+    const user = await Spotify.getCurrentUsersProfile();
+    onProgress("Looking for your radar playlist...");
+    let playlist = await findTaggedPlaylist(user["id"], radarTag);
+    let present = new Set();
+    if (playlist) {
+        onProgress("Reading the playlist...");
+        const state = await getPlaylistState(playlist["id"]);
+        // A relinked track is present under both the URI it is stored with and the URI it plays as.
+        present = new Set([...state["uris"], ...state["tracks"].map(track => track?.["uri"])]);
+    }
+    else {
+        onProgress("Creating the playlist...");
+        playlist = await Spotify.createPlaylist(user["id"], "Breadcrumbs Radar", false, false, `New releases from your artists, found by Breadcrumbs. ${radarTag}`);
+    }
+    const uris = [...new Set(tracks.map(track => track["uri"]))].filter(uri => !present.has(uri));
+    if (uris.length) {
+        onProgress(`Adding ${uris.length} tracks...`);
+        await Spotify.addItemsToPlaylist(playlist["id"], uris);
+    }
+    return {playlist, "added": uris.length};
+}
@@ -0,0 +1,146 @@
+/**
+ * Whether a track has a preview to play.
+ * @param {object} track A full track object.
+ * @returns {boolean} Whether the track has a `preview_url`
+ */
+export function hasPreview(track) {
+    return Boolean(track?.["preview_url"]);
+}
+
+/**
+ * Get the URL of the smallest album art of a track that is at least a given size.
+ * @param {object} track A full track object.
+ * @param {number} size The smallest width wanted, in pixels.
+ * @returns {string|null} The image URL, or `null` if the album has no art
+ */
+export function getAlbumArt(track, size=300) {
+    const images = [...(track?.["album"]?.["images"] ?? [])].sort((a, b) => (a["width"] ?? 0) - (b["width"] ?? 0));
+    return (images.find(image => (image["width"] ?? 0) >= size) ?? images.at(-1))?.["url"] ?? null;
+}
+
+/**
+ * Plays the 30 second previews of a list of tracks, one at a time, moving on to the next track with a preview when one ends.
+ */
+export class PreviewPlayer {
+    /**
+     * @param {HTMLAudioElement} audio The audio element to play the previews with.
+     * @param {function(object|null, number): void} onChange Called with the current track and its index whenever the current track changes, plays or pauses.
+     */
+    constructor(audio, onChange=() => {}) {
+        this.audio = audio;
+        this.onChange = onChange;
+
+        /**
+         * The tracks to play, in order.
+         * @type {object[]}
+         */
+        this.tracks = [];
+
+        /**
+         * The index of the current track, or -1 if there is none.
+         * @type {number}
+         */
+        this.index = -1;
+
+        audio.addEventListener("ended", () => this.next(true));
+        audio.addEventListener("play", () => this.changed());
+        audio.addEventListener("pause", () => this.changed());
+    }
+
+    /**
+     * The current track.
+     * @type {object|null}
+     */
+    get current() {
+        return this.tracks[this.index] ?? null;
+    }
+
+    /**
+     * Whether a preview is playing.
+     * @type {boolean}
+     */
+    get playing() {
+        return !this.audio.paused;
+    }
+
+    /**
+     * Report the current track to `onChange`.
+     */
+    changed() {
+        this.onChange(this.current, this.index);
+    }
+
+    /**
+     * Replace the tracks to play. The current track stays current if it is still in the list, otherwise playback stops.
+     * @param {object[]} tracks Full track objects.
+     */
+    load(tracks) {
+        const current = this.current;
+        this.tracks = tracks;
+        this.index = current ? tracks.findIndex(track => track["id"] === current["id"]) : -1;
+        if (this.index === -1) this.stop();
+        else this.changed();
+    }
+
+    /**
+     * Make a track the current track and play its preview, if it has one.
+     * @param {number} index The index of the track.
+     */
+    play(index) {
+        this.index = index;
+        const track = this.current;
+        if (hasPreview(track)) {
+            if (this.audio.src !== track["preview_url"]) this.audio.src = track["preview_url"];
+            this.audio.play().catch(() => this.changed());
+        }
+        else {
+            this.audio.pause();
+            this.audio.removeAttribute("src");
+        }
+        this.changed();
+    }
+
+    /**
+     * Play or pause the current preview. With no current track, start with the first track that has a preview.
+     */
+    toggle() {
+        if (this.index === -1) {
+            const first = this.tracks.findIndex(hasPreview);
+            if (first !== -1) this.play(first);
+        }
+        else if (this.playing) this.audio.pause();
+        else this.play(this.index);
+    }
+
+    /**
+     * Move on to the next track.
+     * @param {boolean} previewsOnly Whether to skip the tracks without a preview, like when a preview ends.
+     */
+    next(previewsOnly=false) {
+        let index = this.index + 1;
+        if (previewsOnly) while (index < this.tracks.length && !hasPreview(this.tracks[index])) index++;
+        if (index < this.tracks.length) this.play(index);
+        else this.stop();
+    }
+
+    /**
+     * Go back to the previous track, or to the start of the current preview if it has been playing for a few seconds.
+     */
+    previous() {
+        if (this.audio.currentTime > 3 || this.index <= 0) {
+            this.audio.currentTime = 0;
+            return;
+        }
+        this.play(this.index - 1);
+    }
+
+    /**
+     * Stop playing and clear the current track.
+     */
+    stop() {
+        this.audio.pause();
+        this.audio.removeAttribute("src");
+        this.index = -1;
+        this.changed();
+    }
+}
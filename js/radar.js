@@ -0,0 +1,123 @@
+import * as Spotify from "./spotify.js"
+import * as Paging from "./paging.js"
+import * as Batch from "./batch.js"
+import * as Seeds from "./seeds.js"
+import * as Discovery from "./discovery.js"
+
+/**
+ * The album groups watched by the radar, in the order they are shown.
+ * @type {string[]}
+ */
+export const albumGroups = ["album", "single", "appears_on"];
+
+/**
+ * The prefix of the localStorage key of each user's last visit of the radar, and of the sessionStorage key of the date the current visit looks back to.
+ * @type {string}
+ */
+const lastSeenKey = "radar_last_seen";
+
+/**
+ * How many days the first visit of the radar looks back.
+ * @type {number}
+ */
+const firstVisitDays = 30;
+
+/**
+ * Format a date as `YYYY-MM-DD`, in the user's time zone, like release dates.
+ * @param {Date} date The date.
+ * @returns {string} The formatted date
+ */
+function formatDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+/**
+ * Start a visit of the radar and get the day it looks back to: the day of the user's previous visit. Reloading during the same session keeps looking back to the same day, even once the visit is recorded.
+ * @param {string} user_id The Spotify user ID of the current user.
+ * @returns {string} The day, as `YYYY-MM-DD`
+ */
+export function startVisit(user_id) {
+    const key = `${lastSeenKey}:${user_id}`;
+    let since = sessionStorage.getItem(key);
+    if (!since) {
+        since = localStorage.getItem(key) ?? formatDate(new Date(Date.now() - firstVisitDays * 24 * 60 * 60 * 1000));
+        sessionStorage.setItem(key, since);
+    }
+    return since;
+}
+
+/**
+ * Record a visit of the radar as the user's last visit, once its new releases have been found. Until then, the next visit still looks back to the previous one, so that no release is missed when a visit fails.
+ * @param {string} user_id The Spotify user ID of the current user.
+ * @param {Date} date When the visit started.
+ */
+export function recordVisit(user_id, date) {
+    localStorage.setItem(`${lastSeenKey}:${user_id}`, formatDate(date));
+}
+
+/**
+ * Get the artists the radar watches: the artists the user follows and their top artists over every time range.
+ * @returns {Promise<object[]>} Artist objects, the followed artists first
+ */
+export async function getRadarArtists() {
+    const [followed, top] = await Promise.all([
+        Seeds.getFollowedArtists(),
+        Seeds.getTopArtists(["short_term", "medium_term", "long_term"])
+    ]);
+    const artists = new Map();
+    for (const artist of [...followed, ...top]) {
+        if (!artists.has(artist["id"])) artists.set(artist["id"], artist);
+    }
+    return [...artists.values()];
+}
+
+/**
+ * Get the releases of an artist in one album group since a day. Each album group is listed from the most recent release, so paging stops at the first older release.
+ * @param {string} artist_id The Spotify ID of the artist.
+ * @param {string} group The album group.
+ * @param {string} since The first day to include, as `YYYY-MM-DD`.
+ * @returns {Promise<object[]>} Simplified album objects, from the most recent
+ */
+async function getReleasesSince(artist_id, group, since) {
+    const releases = [];
+    for await (const album of Paging.paginate(Spotify.getArtistsAlbums(artist_id, group, null, 50))) {
+        if (album["release_date"] < since) break;
+        releases.push(album);
+    }
+    return releases.sort((a, b) => b["release_date"].localeCompare(a["release_date"]));
+}
+
+/**
+ * Find the releases of some artists since a day, grouped by artist and by album group. Each album group is requested on its own, so that an artist's long list of appearances does not hold back their albums and singles. Releases of year or month precision count as released on their first day, so they only show up on a visit in that year or month.
+ * @param {object[]} artists Artist objects.
+ * @param {string} since The first day to include, as `YYYY-MM-DD`.
+ * @returns {Promise<object[]>} For each artist with new releases, the `artist` and its simplified album objects by album group as `releases`, from the most recent
+ */
+export async function getNewReleases(artists, since) {
+    const releasesPerGroup = await Batch.mapConcurrent(artists.flatMap(artist => albumGroups.map(group => [artist, group])), ([artist, group]) => {
+        return getReleasesSince(artist["id"], group, since);
+    });
+    const radar = [];
+    artists.forEach((artist, i) => {
+        const releases = Object.fromEntries(albumGroups.map((group, j) => [group, releasesPerGroup[i * albumGroups.length + j]]));
+        if (!Object.values(releases).some(albums => albums.length)) return;
+        radar.push({artist, releases});
+    });
+    return radar;
+}
+
+/**
+ * Get the tracks of new releases that are by the artist they were found for.
+ * @param {object[]} radar The new releases, as returned by `getNewReleases`.
+ * @returns {Promise<object[]>} Simplified track objects that can be played in the user's market, each with its simplified `album` and the `source_artist` it was found for, from the most recent release
+ */
+export async function getNewTracks(radar) {
+    const albums = new Map();
+    for (const {artist, releases} of radar) {
+        for (const album of Object.values(releases).flat()) {
+            if (!albums.has(album["id"])) albums.set(album["id"], {...album, "source_artist_id": artist["id"]});
+        }
+    }
+    const tracks = (await Discovery.getSourceArtistTracks(albums)).filter(track => track["is_playable"] !== false);
+    return tracks.sort((a, b) => b["album"]["release_date"].localeCompare(a["album"]["release_date"]));
+}
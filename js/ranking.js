@@ -0,0 +1,93 @@
+import * as Spotify from "./spotify.js"
+import * as Paging from "./paging.js"
+
+/**
+ * The weights used when none are chosen.
+ * @type {object}
+ */
+export const defaultWeights = {
+    "affinity": 40,
+    "followed": 10,
+    "popularity": 20,
+    "recency": 20,
+    "novelty": 10
+};
+
+/**
+ * The age, in years, at which a release counts half as recent as one released today.
+ * @type {number}
+ */
+const recencyHalfLife = 2;
+
+/**
+ * Measure how much the user likes some artists, from their rank in the user's top artists over every time range and from whether the user follows them.
+ * @param {string[]} artist_ids The Spotify IDs of the artists.
+ * @returns {Promise<Map<string, object>>} For each artist ID, its `affinity`, from 0 (not a top artist) to 1 (the top artist over every time range), and whether it is `followed`
+ */
+export async function getArtistAffinities(artist_ids) {
+    const topArtistsPerRange = await Promise.all(["short_term", "medium_term", "long_term"].map(time_range => {
+        return Paging.collectAll(Spotify.getUsersTopItems("artists", time_range, 50));
+    }));
+    const followed = await Spotify.checkIfUserFollowsArtistsOrUsers("artist", artist_ids);
+    const affinities = new Map();
+    artist_ids.forEach((artist_id, i) => {
+        let affinity = 0;
+        for (const topArtists of topArtistsPerRange) {
+            const rank = topArtists.findIndex(artist => artist["id"] === artist_id);
+            if (rank !== -1) affinity += (topArtists.length - rank) / topArtists.length / topArtistsPerRange.length;
+        }
+        affinities.set(artist_id, {affinity, "followed": followed[i]});
+    });
+    return affinities;
+}
+
+/**
+ * Score how recent a release is.
+ * @param {string} release_date The release date, of any precision.
+ * @returns {number} From 1 (released today) towards 0 (released long ago)
+ */
+function recency(release_date) {
+    const years = (Date.now() - new Date(release_date).getTime()) / (365.25 * 24 * 60 * 60 * 1000);
+    return 0.5 ** (Math.max(years, 0) / recencyHalfLife);
+}
+
+/**
+ * Score a track. Each criterion scores from 0 to 1 and the score is their weighted average:
+ * - `affinity`: how high its artists rank in the user's top artists,
+ * - `followed`: whether the user follows one of its artists,
+ * - `popularity`: how popular the track is,
+ * - `recency`: how recently it was released,
+ * - `novelty`: the share of its artists the user does not know yet, neither among their top artists nor followed.
+ * @param {object} track A full track object.
+ * @param {Map<string, object>} affinities The artist affinities, as returned by `getArtistAffinities`.
+ * @param {object} weights The weight of each criterion.
+ * @returns {number} A score from 0 to 1
+ */
+export function score(track, affinities, weights=defaultWeights) {
+    const credits = track["artists"].map(artist => affinities.get(artist["id"]));
+    const artists = credits.filter(artist => artist);
+    const unknown = credits.filter(artist => !artist || (!artist["affinity"] && !artist["followed"]));
+    const criteria = {
+        "affinity": Math.max(0, ...artists.map(artist => artist["affinity"])),
+        "followed": artists.some(artist => artist["followed"]) ? 1 : 0,
+        "popularity": track["popularity"] / 100,
+        "recency": recency(track["album"]["release_date"]),
+        "novelty": unknown.length / credits.length
+    };
+    const total = Object.keys(criteria).reduce((sum, criterion) => sum + (weights[criterion] ?? 0), 0);
+    if (!total) return 0;
+    return Object.entries(criteria).reduce((sum, [criterion, value]) => sum + value * (weights[criterion] ?? 0), 0) / total;
+}
+
+/**
+ * Order tracks from the highest score to the lowest.
+ * @param {object[]} tracks Full track objects.
+ * @param {Map<string, object>} affinities The artist affinities, as returned by `getArtistAffinities`.
+ * @param {object} weights The weight of each criterion, see `score`.
+ * @returns {object[]} The tracks, each with its `score`, in a new array
+ */
+export function rank(tracks, affinities, weights=defaultWeights) {
+    return tracks
+        .map(track => ({...track, "score": score(track, affinities, weights)}))
+        .sort((a, b) => b["score"] - a["score"]);
+}
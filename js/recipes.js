@@ -0,0 +1,205 @@
+import * as Config from "./config.js"
+import * as Export from "./export.js"
+
+/**
+ * The version of the recipe format. Recipes of an earlier version are migrated when they are read.
+ * @type {number}
+ */
+export const version = 1;
+
+/**
+ * The localStorage key of the saved recipes.
+ * @type {string}
+ */
+const storageKey = "recipes";
+
+/**
+ * The URL parameter of a shared recipe.
+ * @type {string}
+ */
+const urlParam = "recipe";
+
+/**
+ * For each earlier version, the function that turns a recipe of that version into a recipe of the next one.
+ * @type {Object<number, function(object): object>}
+ */
+const migrations = {};
+
+/**
+ * Create a recipe: everything needed to build a mix again.
+ * @param {string} name The name of the recipe.
+ * @param {object} seeds The seed sources: the `top_artists` time ranges, each with its `time_range` and `max_artists` (`null` for all of them), whether `followed` artists are included, the `recently_played` sources, each with its `max_plays`, the `playlists`, each with its `id`, `name` and `excluded_artists`, the `artists` added by name, each with its `id` and `name`, and the `excluded_artists` IDs.
+ * @param {object} filters The filter options, as read from the filters form.
+ * @param {object} weights The ranking weights.
+ * @param {object} target The target playlists: the `playlist` options of a new playlist and the `sync` options of the synced playlist.
+ * @returns {object} A recipe
+ */
+export function create(name, seeds, filters, weights, target) {
+    return {version, name, seeds, filters, weights, target};
+}
+
+/**
+ * The pattern of a Spotify ID.
+ * @type {RegExp}
+ */
+const idPattern = /^[0-9A-Za-z]+$/;
+
+/**
+ * Check that the seeds of a recipe have the documented shape, so that a recipe from a file or a link cannot smuggle anything else into the page or the requests.
+ * @param {object} seeds The seed sources of a recipe, see `create`.
+ * @throws {Error} If a seed source is malformed
+ */
+function checkSeeds(seeds) {
+    const isId = id => typeof id === "string" && idPattern.test(id);
+    const isList = (list, check) => list === undefined || (Array.isArray(list) && list.every(check));
+    const valid = isList(seeds["top_artists"], range => range && ["short_term", "medium_term", "long_term", "blend"].includes(range["time_range"]) && (range["max_artists"] == null || Number.isInteger(range["max_artists"])))
+        && (seeds["followed"] === undefined || typeof seeds["followed"] === "boolean")
+        && isList(seeds["recently_played"], source => source && Number.isInteger(source["max_plays"]))
+        && isList(seeds["playlists"], playlist => playlist && isId(playlist["id"]) && typeof playlist["name"] === "string" && isList(playlist["excluded_artists"], isId))
+        && isList(seeds["artists"], artist => artist && isId(artist["id"]) && typeof artist["name"] === "string")
+        && isList(seeds["excluded_artists"], isId);
+    if (!valid) throw new Error("This recipe has malformed seeds");
+}
+
+/**
+ * Check a recipe and bring it up to the current version.
+ * @param {object} recipe A recipe of any version.
+ * @returns {object} The recipe, in the current version
+ */
+function migrate(recipe) {
+    if (!recipe || typeof recipe !== "object" || !Number.isInteger(recipe["version"]) || typeof recipe["name"] !== "string") {
+        throw new Error("This is not a Breadcrumbs recipe");
+    }
+    if (recipe["version"] > version) throw new Error("This recipe was made by a newer version of Breadcrumbs");
+    while (recipe["version"] < version) recipe = {...migrations[recipe["version"]](recipe), "version": recipe["version"] + 1};
+    for (const part of ["seeds", "filters", "weights", "target"]) {
+        if (!recipe[part] || typeof recipe[part] !== "object") throw new Error(`This recipe has no ${part}`);
+    }
+    checkSeeds(recipe["seeds"]);
+    return recipe;
+}
+
+/**
+ * Read a recipe from JSON.
+ * @param {string} text The recipe, as JSON.
+ * @returns {object} The recipe, in the current version
+ */
+export function parse(text) {
+    let recipe;
+    try {
+        recipe = JSON.parse(text);
+    }
+    catch {
+        throw new Error("This is not a Breadcrumbs recipe");
+    }
+    return migrate(recipe);
+}
+
+/**
+ * Read the saved recipes.
+ * @returns {Object<string, object>} The recipes, by name
+ */
+function readAll() {
+    const saved = JSON.parse(localStorage.getItem(storageKey) ?? "null");
+    if (!saved) return {};
+    const recipes = {};
+    for (const [name, recipe] of Object.entries(saved["recipes"])) {
+        try {
+            recipes[name] = migrate(recipe);
+        }
+        catch {
+            // A recipe that cannot be read any more is dropped.
+        }
+    }
+    return recipes;
+}
+
+/**
+ * Write the saved recipes.
+ * @param {Object<string, object>} recipes The recipes, by name.
+ */
+function writeAll(recipes) {
+    localStorage.setItem(storageKey, JSON.stringify({version, recipes}));
+}
+
+/**
+ * List the saved recipes.
+ * @returns {string[]} The names of the saved recipes, in alphabetical order
+ */
+export function list() {
+    return Object.keys(readAll()).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Get a saved recipe.
+ * @param {string} name The name of the recipe.
+ * @returns {object|null} The recipe, or `null` if there is no recipe with that name
+ */
+export function load(name) {
+    return readAll()[name] ?? null;
+}
+
+/**
+ * Save a recipe, replacing any saved recipe with the same name.
+ * @param {object} recipe The recipe.
+ */
+export function save(recipe) {
+    writeAll({...readAll(), [recipe["name"]]: recipe});
+}
+
+/**
+ * Delete a saved recipe.
+ * @param {string} name The name of the recipe.
+ */
+export function remove(name) {
+    const recipes = readAll();
+    delete recipes[name];
+    writeAll(recipes);
+}
+
+/**
+ * Download a recipe as a JSON file.
+ * @param {object} recipe The recipe.
+ */
+export function exportFile(recipe) {
+    Export.download(JSON.stringify(recipe, null, 4), "application/json", `${recipe["name"]}.json`);
+}
+
+/**
+ * Read a recipe from a JSON file.
+ * @param {File} file The file.
+ * @returns {Promise<object>} The recipe, in the current version
+ */
+export async function importFile(file) {
+    return parse(await file.text());
+}
+
+/**
+ * Build a link to the app that shares a recipe.
+ * @param {object} recipe The recipe.
+ * @returns {string} The URL, with the recipe encoded as base64url JSON
+ */
+export function toURL(recipe) {
+    const bytes = new TextEncoder().encode(JSON.stringify(recipe));
+    const encoded = btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+    return `${Config.home}/app?${new URLSearchParams({[urlParam]: encoded})}`;
+}
+
+/**
+ * Read the recipe shared by a link to the app.
+ * @param {string} url The URL.
+ * @returns {object|null} The recipe, in the current version, or `null` if the URL does not share one
+ */
+export function fromURL(url) {
+    const encoded = new URL(url).searchParams.get(urlParam);
+    if (!encoded) return null;
+    let text;
+    try {
+        const bytes = Uint8Array.from(atob(encoded.replace(/-/g, "+").replace(/_/g, "/")), character => character.charCodeAt(0));
+        text = new TextDecoder().decode(bytes);
+    }
+    catch {
+        throw new Error("This link does not share a valid recipe");
+    }
+    return parse(text);
+}
@@ -0,0 +1,134 @@
+/**
+ * How many times a request is retried after a rate limit, or an idempotent request after a server error or a network failure.
+ * @type {number}
+ */
+const maxRetries = 4;
+
+/**
+ * The delay before the first retry, in milliseconds. Each following retry waits twice as long.
+ * @type {number}
+ */
+const baseDelay = 500;
+
+/**
+ * The methods that can be sent again without changing the outcome. A request with any other method may have been applied before its server error or network failure, so it is not retried.
+ * @type {string[]}
+ */
+const idempotentMethods = ["GET", "HEAD", "PUT", "DELETE"];
+
+/**
+ * The longest `Retry-After` period worth waiting for, in seconds. Longer rate limits are surfaced as errors.
+ * @type {number}
+ */
+const maxRetryAfter = 60;
+
+/**
+ * An unsuccessful response from the Spotify Web API or the Spotify Accounts service.
+ */
+export class SpotifyApiError extends Error {
+    /**
+     * @param {number} status The HTTP status code of the response.
+     * @param {string} message A short description of the cause of the error.
+     * @param {number} retryAfter The number of seconds to wait before retrying, if the response had a `Retry-After` header.
+     */
+    constructor(status, message, retryAfter=null) {
+        super(message);
+        this.name = "SpotifyApiError";
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+
+    /**
+     * Build an error from an unsuccessful response.
+     * @param {Response} response The response to read the error from.
+     * @returns {Promise<SpotifyApiError>} An error
+     */
+    static async fromResponse(response) {
+        let message = response.statusText;
+        try {
+            const body = await response.json();
+            // The Web API nests its errors, the Accounts service does not.
+            if (typeof body["error"] === "object") message = body["error"]["message"];
+            else if (body["error"]) message = body["error_description"] || body["error"];
+        }
+        catch {
+            /* the body is empty or not JSON, keep the status text */
+        }
+        return new SpotifyApiError(response.status, message, getRetryAfter(response));
+    }
+}
+
+/**
+ * Read the `Retry-After` header of a response.
+ * @param {Response} response The response to read the header from.
+ * @returns {number|null} The number of seconds to wait, or `null` if the header is missing
+ */
+function getRetryAfter(response) {
+    const retryAfter = parseInt(response.headers.get("Retry-After"));
+    return isNaN(retryAfter) ? null : retryAfter;
+}
+
+/**
+ * Wait for the given time.
+ * @param {number} ms The number of milliseconds to wait.
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * The exponential backoff delay for a retry, with jitter so that parallel requests do not retry in lockstep.
+ * @param {number} attempt The zero-based number of the attempt that failed.
+ * @returns {number} A delay in milliseconds
+ */
+function backoff(attempt) {
+    const delay = baseDelay * 2 ** attempt;
+    return delay / 2 + Math.random() * delay / 2;
+}
+
+/**
+ * Read the body of a successful response.
+ * @param {Response} response The response to read.
+ * @returns {Promise<object>|Promise<void>} The parsed JSON body, or nothing if the body is empty
+ */
+async function parseBody(response) {
+    if (response.status === 204) return;
+    const text = await response.text();
+    if (text) return JSON.parse(text);
+}
+
+/**
+ * Send a request, retrying rate limited (429) requests after their `Retry-After` period and retrying server errors and network failures of idempotent requests with exponential backoff.
+ * @param {string} url The address of the resource.
+ * @param {RequestInit} init The options of the request, as passed to `fetch`.
+ * @returns {Promise<object>|Promise<void>} The parsed JSON body, or nothing if the response has no body
+ * @throws {SpotifyApiError} If the response is unsuccessful and cannot be retried
+ */
+export async function request(url, init={}) {
+    const idempotent = idempotentMethods.includes((init.method ?? "GET").toUpperCase());
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = await fetch(url, init);
+        }
+        catch (error) {
+            if (!idempotent || attempt >= maxRetries) throw error;
+            await sleep(backoff(attempt));
+            continue;
+        }
+        if (response.ok) return parseBody(response);
+        if (attempt < maxRetries) {
+            const retryAfter = getRetryAfter(response);
+            if (response.status === 429 && retryAfter !== null && retryAfter <= maxRetryAfter) {
+                await sleep(retryAfter * 1000);
+                continue;
+            }
+            if ((response.status === 429 && retryAfter === null) || (idempotent && response.status >= 500)) {
+                await sleep(backoff(attempt));
+                continue;
+            }
+        }
+        throw await SpotifyApiError.fromResponse(response);
+    }
+}
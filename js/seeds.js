@@ -0,0 +1,66 @@
+import * as Spotify from "./spotify.js"
+import * as Paging from "./paging.js"
+
+/**
+ * Get the user's top artists over one or more time ranges. Over several time ranges, the rankings are blended: each artist scores by its rank in each range, from 1 for the top artist down to 0 for artists missing from the range, and artists are ordered by their total score.
+ * @param {string[]} time_ranges The time ranges to blend. Valid values: `short_term`, `medium_term` and `long_term`.
+ * @param {number} max_artists The maximum number of artists to return. Default: every artist of every page.
+ * @returns {Promise<object[]>} Artist objects, from the highest combined rank to the lowest
+ */
+export async function getTopArtists(time_ranges, max_artists=Infinity) {
+    const topArtistsPerRange = await Promise.all(time_ranges.map(time_range => {
+        return Paging.collectAll(Spotify.getUsersTopItems("artists", time_range, 50));
+    }));
+    const scores = new Map();
+    for (const topArtists of topArtistsPerRange) {
+        topArtists.forEach((artist, rank) => {
+            const {score} = scores.get(artist["id"]) ?? {"score": 0};
+            scores.set(artist["id"], {artist, "score": score + (topArtists.length - rank) / topArtists.length});
+        });
+    }
+    // Sorting is stable, so ties keep the order of the first time range.
+    return [...scores.values()]
+        .sort((a, b) => b["score"] - a["score"])
+        .slice(0, max_artists)
+        .map(({artist}) => artist);
+}
+
+/**
+ * Get the artists the user follows.
+ * @param {number} max_artists The maximum number of artists to return. Default: every artist of every page.
+ * @returns {Promise<object[]>} Artist objects
+ */
+export function getFollowedArtists(max_artists=Infinity) {
+    return Paging.collectAll(Spotify.getFollowedArtists(null, 50), max_artists);
+}
+
+/**
+ * Search for artists by name.
+ * @param {string} q The search query.
+ * @param {number} limit The maximum number of artists to return. Maximum: 50.
+ * @returns {Promise<object[]>} Artist objects, from the best match to the worst
+ */
+export async function searchArtists(q, limit=10) {
+    return (await Spotify.searchForItem(q, "artist", null, limit))["artists"]["items"];
+}
+
+/**
+ * Get the artists the user played recently, weighted by how often they were played. A play counts for every artist of the track.
+ * @param {number} max_plays How many of the last plays to count. Spotify only keeps the last 50 plays.
+ * @param {number} max_artists The maximum number of artists to return. Default: every artist played.
+ * @returns {Promise<object[]>} Simplified artist objects, each with its `play_count`, from the most played to the least, then from the most recently played
+ */
+export async function getRecentlyPlayedArtists(max_plays=50, max_artists=Infinity) {
+    const plays = await Paging.collectAll(Spotify.getRecentlyPlayedTracks(50), max_plays);
+    const artists = new Map();
+    for (const {track} of plays) {
+        for (const artist of track["artists"]) {
+            const {play_count} = artists.get(artist["id"]) ?? {"play_count": 0};
+            artists.set(artist["id"], {...artist, "play_count": play_count + 1});
+        }
+    }
+    // Plays come from the most recent, and sorting is stable.
+    return [...artists.values()]
+        .sort((a, b) => b["play_count"] - a["play_count"])
+        .slice(0, max_artists);
+}
@@ -0,0 +1,165 @@
+import * as Spotify from "./spotify.js"
+import * as Discovery from "./discovery.js"
+import * as Playlist from "./playlist.js"
+import * as Cleanup from "./cleanup.js"
+import * as HTML from "./html.js"
+import {client} from "./client.js"
+
+const playlistToolsForm = document.getElementById("playlist-tools");
+const previewTracksTable = document.getElementById("preview-tracks");
+const applyButton = document.getElementById("apply-button");
+const toolsStatus = document.getElementById("playlist-tools-status");
+
+/**
+ * The previewed change: the playlist, its state when previewed and the URIs of its items once changed.
+ * @type {{playlist_id: string, state: object, uris: string[]}|null}
+ */
+let preview = null;
+
+async function insertPlaylists() {
+    toolsStatus.innerHTML = "Loading your playlists...";
+    try {
+        const user = await Spotify.getCurrentUsersProfile();
+        const playlists = (await Discovery.getUsersPlaylists()).filter(playlist => playlist["owner"]["id"] === user["id"] || playlist["collaborative"]);
+        let innerHTMLContent = "";
+        for (const playlist of playlists) {
+            innerHTMLContent += `<option value="${playlist["id"]}">${HTML.escape(playlist["name"])} (${playlist["tracks"]["total"]} tracks)</option>`;
+        }
+        playlistToolsForm.elements["playlist_id"].innerHTML = innerHTMLContent;
+        toolsStatus.innerHTML = "";
+    }
+    catch (error) {
+        toolsStatus.innerHTML = `Error: ${error.message}`;
+    }
+}
+
+function formatTrack(track) {
+    if (!track) return "<td>Unavailable item</td><td></td><td></td>";
+    // Local files carry the names their owner gave them.
+    return `<td>${HTML.escape(track["name"] ?? track["uri"])}</td><td>${HTML.escape(track["artists"]?.map(artist => artist["name"]).join(", "))}</td><td>${HTML.escape(track["album"]?.["release_date"])}</td>`;
+}
+
+/**
+ * Show the tracks a change removes, each with the reason it is removed.
+ * @param {object[]} tracks The tracks of the playlist.
+ * @param {object[]} removals The removed tracks, each with its `position` and `reason`.
+ */
+function insertRemovals(tracks, removals) {
+    let innerHTMLContent = `
+        <tr>
+            <th>#</th><th>Name</th><th>Artists</th><th>Release Date</th><th>Reason</th>
+        </tr>
+    `
+    for (const {position, reason} of removals) {
+        innerHTMLContent += `
+            <tr>
+                <td>${position + 1}</td>${formatTrack(tracks[position])}<td>${reason}</td>
+            </tr>
+        `
+    }
+    previewTracksTable.innerHTML = innerHTMLContent;
+}
+
+/**
+ * Show the tracks of a playlist in their new order, with their current positions.
+ * @param {object[]} tracks The tracks of the playlist.
+ * @param {number[]} order The current positions of the tracks, in their new order.
+ */
+function insertOrder(tracks, order) {
+    let innerHTMLContent = `
+        <tr>
+            <th>#</th><th>Was</th><th>Name</th><th>Artists</th><th>Release Date</th><th>Popularity</th><th>Duration</th>
+        </tr>
+    `
+    order.forEach((position, i) => {
+        const track = tracks[position];
+        const duration = track?.["duration_ms"] ? `${Math.floor(track["duration_ms"] / 60000)}:${String(Math.floor(track["duration_ms"] / 1000) % 60).padStart(2, "0")}` : "";
+        innerHTMLContent += `
+            <tr>
+                <td>${i + 1}</td><td>${position + 1}</td>${formatTrack(track)}<td>${track?.["popularity"] ?? ""}</td><td>${duration}</td>
+            </tr>
+        `
+    });
+    previewTracksTable.innerHTML = innerHTMLContent;
+}
+
+async function previewChanges(event) {
+    event.preventDefault();
+    const data = new FormData(playlistToolsForm);
+    const playlist_id = data.get("playlist_id");
+    preview = null;
+    applyButton.hidden = true;
+    previewTracksTable.innerHTML = "";
+    if (data.get("action") === "released_before" && !data.get("cutoff")) {
+        toolsStatus.innerHTML = "Choose a release date.";
+        return;
+    }
+    toolsStatus.innerHTML = "Reading the playlist...";
+    try {
+        const state = await Playlist.getPlaylistState(playlist_id, null, Cleanup.trackFields);
+        const tracks = state["tracks"];
+        let uris;
+        if (data.get("action") === "sort") {
+            const order = Cleanup.sortOrder(tracks, data.get("sort_key"), data.has("descending"));
+            uris = order.map(position => state["uris"][position]);
+            if (uris.join() === state["uris"].join()) {
+                toolsStatus.innerHTML = "The playlist is already in that order.";
+                return;
+            }
+            insertOrder(tracks, order);
+            toolsStatus.innerHTML = `New order of the ${tracks.length} tracks:`;
+        }
+        else {
+            let removals;
+            if (data.get("action") === "duplicates") {
+                removals = Cleanup.findDuplicates(tracks).map(({position, original, reason}) => ({position, "reason": `${reason} as #${original + 1}`}));
+            }
+            else if (data.get("action") === "unavailable") {
+                removals = Cleanup.findUnavailable(tracks).map(position => ({position, "reason": "unavailable"}));
+            }
+            else {
+                removals = Cleanup.findReleasedBefore(tracks, data.get("cutoff")).map(position => ({position, "reason": "released before the cutoff"}));
+            }
+            if (!removals.length) {
+                toolsStatus.innerHTML = "Nothing to remove.";
+                return;
+            }
+            const removed = new Set(removals.map(({position}) => position));
+            uris = state["uris"].filter((uri, position) => !removed.has(position));
+            insertRemovals(tracks, removals);
+            toolsStatus.innerHTML = `${removals.length} of ${tracks.length} tracks will be removed:`;
+        }
+        preview = {playlist_id, state, uris};
+        applyButton.hidden = false;
+    }
+    catch (error) {
+        toolsStatus.innerHTML = `Error: ${error.message}`;
+    }
+}
+
+async function applyChanges() {
+    applyButton.disabled = true;
+    try {
+        toolsStatus.innerHTML = "Checking the playlist...";
+        const state = await Playlist.getPlaylistState(preview["playlist_id"]);
+        if (state["snapshot_id"] !== preview["state"]["snapshot_id"]) {
+            throw new Error("The playlist changed since the preview, preview the changes again");
+        }
+        await Playlist.applyItems(preview["playlist_id"], state, preview["uris"], message => toolsStatus.innerHTML = message, false);
+        toolsStatus.innerHTML = "Done!";
+        previewTracksTable.innerHTML = "";
+        preview = null;
+        applyButton.hidden = true;
+    }
+    catch (error) {
+        toolsStatus.innerHTML = `Error: ${error.message}`;
+    }
+    finally {
+        applyButton.disabled = false;
+    }
+}
+
+if (!client.isLoggedIn()) window.location.href = "./";
+else insertPlaylists();
+playlistToolsForm.addEventListener("submit", previewChanges);
+applyButton.addEventListener("click", applyChanges);
@@ -0,0 +1,438 @@
+import * as http from "node:http"
+import * as fs from "node:fs/promises"
+import * as path from "node:path"
+import {fileURLToPath} from "node:url"
+
+/**
+ * The root of the app, served as static files.
+ * @type {string}
+ */
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+/**
+ * The directory of the recorded responses.
+ * @type {string}
+ */
+const fixtures = path.join(root, "mock", "fixtures");
+
+/**
+ * The address of the real Web API, used when recording fixtures.
+ * @type {string}
+ */
+const spotifyBaseURL = "https://api.spotify.com";
+
+/**
+ * Query parameters that select a page or a subset of a resource, rather than the resource itself. They are left out of fixture names.
+ * @type {string[]}
+ */
+const pagingParams = ["limit", "offset", "after", "before", "ids", "market", "fields", "additional_types"];
+
+/**
+ * The endpoints that take a list of IDs and return the matching items, by path, with the key of the items in the response.
+ * @type {Object<string, string>}
+ */
+const multiIdEndpoints = {
+    "/v1/albums": "albums",
+    "/v1/artists": "artists",
+    "/v1/tracks": "tracks"
+};
+
+const mimeTypes = {
+    ".html": "text/html",
+    ".js": "text/javascript",
+    ".css": "text/css",
+    ".json": "application/json",
+    ".jpg": "image/jpeg",
+    ".png": "image/png",
+    ".ico": "image/x-icon"
+};
+
+const options = parseOptions(process.argv.slice(2));
+
+/**
+ * The failures to inject, consumed in order. See `--failures` in `mock/README.md`.
+ * @type {object[]}
+ */
+let failures = options.failures ? JSON.parse(await fs.readFile(options.failures, "utf8")) : [];
+
+/**
+ * Every request received under `/v1`, for checking what the app sent.
+ * @type {object[]}
+ */
+let requests = [];
+
+/**
+ * The scopes last asked for on the authorization page, which the token endpoint grants.
+ * @type {string}
+ */
+let grantedScope = "";
+
+/**
+ * Read the command line options.
+ * @param {string[]} args The command line arguments.
+ * @returns {object} The options
+ */
+function parseOptions(args) {
+    const options = {"port": 8080, "record": false, "failures": null};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === "--port") options.port = Number(args[++i]);
+        else if (args[i] === "--record") options.record = true;
+        else if (args[i] === "--failures") options.failures = args[++i];
+        else throw new Error(`Unknown option ${args[i]}`);
+    }
+    if (options.record && !process.env.SPOTIFY_TOKEN) {
+        throw new Error("Recording needs a real access token in the SPOTIFY_TOKEN environment variable");
+    }
+    return options;
+}
+
+/**
+ * Send a JSON response.
+ * @param {http.ServerResponse} res The response to send.
+ * @param {number} status The HTTP status code.
+ * @param {any} body The body, sent as JSON. `undefined` for an empty body.
+ * @param {object} headers Additional headers.
+ */
+function send(res, status, body, headers={}) {
+    res.writeHead(status, {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Expose-Headers": "Retry-After",
+        ...(body !== undefined && {"Content-Type": "application/json"}),
+        ...headers
+    });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+/**
+ * Send a Web API error response.
+ * @param {http.ServerResponse} res The response to send.
+ * @param {number} status The HTTP status code.
+ * @param {string} message The error message.
+ * @param {object} headers Additional headers.
+ */
+function sendError(res, status, message, headers={}) {
+    send(res, status, {"error": {status, message}}, headers);
+}
+
+/**
+ * Take the next injected failure for a path, if any.
+ * @param {string} pathname The path of the request.
+ * @returns {object|undefined} The failure, with its `status` and optional `message` and `retry_after`
+ */
+function takeFailure(pathname) {
+    const failure = failures.find(failure => new RegExp(failure["path"]).test(pathname) && failure["times"] !== 0);
+    if (failure?.["times"] !== undefined) failure["times"]--;
+    return failure;
+}
+
+/**
+ * Read the body of a request.
+ * @param {http.IncomingMessage} req The request.
+ * @returns {Promise<string>} The body
+ */
+async function readBody(req) {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    return body;
+}
+
+/**
+ * The name of the fixture file of a request: its path, followed by its non-paging query parameters and, for methods other than `GET`, its method. For example `v1/me/top/artists@time_range=short_term.json` or `v1/users/mock-user/playlists.POST.json`.
+ * @param {string} method The HTTP method.
+ * @param {URL} url The address of the request.
+ * @param {boolean} withQuery Whether to include the query parameters.
+ * @returns {string} The path of the fixture file
+ */
+function fixturePath(method, url, withQuery=true) {
+    const query = [...url.searchParams]
+        .filter(([name]) => !pagingParams.includes(name))
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, value]) => `${name}=${value}`)
+        .join("&");
+    const suffix = `${withQuery && query ? `@${query.replace(/[/:]/g, "_")}` : ""}${method === "GET" ? "" : `.${method}`}`;
+    return path.join(fixtures, `${url.pathname}${suffix}.json`);
+}
+
+/**
+ * Read a fixture file.
+ * @param {string} file The path of the fixture file.
+ * @returns {Promise<any>} The recorded response, or `undefined` if there is none
+ */
+async function readFixture(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, "utf8"));
+    }
+    catch (error) {
+        if (error.code === "ENOENT") return undefined;
+        throw error;
+    }
+}
+
+/**
+ * Write a fixture file.
+ * @param {string} file The path of the fixture file.
+ * @param {any} body The response to record.
+ */
+async function writeFixture(file, body) {
+    await fs.mkdir(path.dirname(file), {"recursive": true});
+    await fs.writeFile(file, `${JSON.stringify(body, null, 4)}\n`);
+}
+
+/**
+ * Find the paging object in a response, which `searchForItem` and `getFollowedArtists` wrap in an object keyed by the item type.
+ * @param {object} body A response.
+ * @returns {object|undefined} The paging object, if the response is paged
+ */
+function findPage(body) {
+    if (!body || typeof body !== "object" || Array.isArray(body)) return;
+    if (Array.isArray(body["items"])) return body;
+    const pages = Object.values(body).filter(value => value && Array.isArray(value["items"]));
+    if (pages.length === 1) return pages[0];
+}
+
+/**
+ * Serve one page of a fixture holding every item of a paged endpoint, with the `next` link pointing back at the mock server. The followed artists are paged by an artist ID cursor and the recently played tracks by `played_at` timestamp cursors, every other endpoint by offset.
+ * @param {object} body The fixture.
+ * @param {URL} url The address of the request.
+ * @returns {object} The page
+ */
+function paginate(body, url) {
+    const page = findPage(body);
+    if (!page) return body;
+    if (url.pathname === "/v1/me/player/recently-played") return paginatePlays(page, url);
+    const items = page["items"];
+    const limit = Number(url.searchParams.get("limit") ?? 20);
+    const next = new URL(url);
+    let start;
+    let extra;
+    if (url.pathname === "/v1/me/following") {
+        const after = url.searchParams.get("after");
+        start = after ? items.findIndex(item => item["id"] === after) + 1 : 0;
+        const last = items[Math.min(start + limit, items.length) - 1];
+        next.searchParams.set("after", last?.["id"]);
+        extra = {"cursors": {"after": start + limit < items.length ? last["id"] : null}};
+    }
+    else {
+        start = Number(url.searchParams.get("offset") ?? 0);
+        next.searchParams.set("offset", start + limit);
+        extra = {"offset": start, "previous": null};
+    }
+    const paged = {
+        ...page,
+        "items": items.slice(start, start + limit),
+        limit,
+        "total": items.length,
+        "next": start + limit < items.length ? next.href : null,
+        ...extra
+    };
+    return page === body ? paged : Object.fromEntries(Object.entries(body).map(([key, value]) => [key, value === page ? paged : value]));
+}
+
+/**
+ * Serve one page of the recently played tracks like the Web API: the most recent plays before the `before` cursor or after the `after` cursor, both Unix timestamps in milliseconds. The `cursors` hold the timestamps of the newest and the oldest play of the page, and `next` asks for the plays before the oldest one.
+ * @param {object} page The fixture, holding every play from the most recent.
+ * @param {URL} url The address of the request.
+ * @returns {object} The page
+ */
+function paginatePlays(page, url) {
+    const limit = Number(url.searchParams.get("limit") ?? 20);
+    const before = url.searchParams.get("before");
+    const after = url.searchParams.get("after");
+    const plays = page["items"]
+        .filter(item => (before === null || Date.parse(item["played_at"]) < Number(before)) && (after === null || Date.parse(item["played_at"]) > Number(after)))
+        .sort((a, b) => Date.parse(b["played_at"]) - Date.parse(a["played_at"]));
+    const items = plays.slice(0, limit);
+    const oldest = items.length ? Date.parse(items.at(-1)["played_at"]) : null;
+    const next = new URL(url);
+    next.searchParams.delete("after");
+    next.searchParams.set("before", oldest);
+    next.searchParams.set("limit", limit);
+    const older = page["items"].some(item => Date.parse(item["played_at"]) < oldest);
+    return {
+        ...page,
+        items,
+        limit,
+        "next": items.length && older ? next.href : null,
+        "cursors": items.length ? {"after": String(Date.parse(items[0]["played_at"])), "before": String(oldest)} : null
+    };
+}
+
+/**
+ * Fetch a resource from the real Web API and record it as a fixture. Every page of a paged resource is recorded, and each item of a multi-ID request is recorded as a single-item fixture.
+ * @param {URL} url The address of the request to the mock server.
+ * @returns {Promise<any>} The recorded response
+ */
+async function record(url) {
+    const get = async address => {
+        const response = await fetch(address, {"headers": {"Authorization": `Bearer ${process.env.SPOTIFY_TOKEN}`}});
+        if (!response.ok) throw new Error(`${response.status} ${await response.text()}`);
+        return response.json();
+    };
+    const upstream = new URL(`${url.pathname}${url.search}`, spotifyBaseURL);
+    const key = multiIdEndpoints[url.pathname];
+    if (key) {
+        const body = await get(upstream);
+        for (const item of body[key]) {
+            if (item) await writeFixture(path.join(fixtures, url.pathname, `${item["id"]}.json`), item);
+        }
+        return body;
+    }
+    upstream.searchParams.delete("offset");
+    upstream.searchParams.delete("after");
+    upstream.searchParams.set("limit", "50");
+    const body = await get(upstream);
+    const page = findPage(body);
+    if (page) {
+        for (let next = page["next"]; next; ) {
+            const nextPage = findPage(await get(next));
+            page["items"].push(...nextPage["items"]);
+            next = nextPage["next"];
+        }
+        page["next"] = null;
+    }
+    await writeFixture(fixturePath("GET", url), body);
+    return body;
+}
+
+/**
+ * Answer a multi-ID request from the single-item fixtures, with `null` for unknown IDs like the Web API.
+ * @param {URL} url The address of the request.
+ * @param {string} key The key of the items in the response.
+ * @returns {Promise<object>} The response
+ */
+async function answerMultiId(url, key) {
+    const ids = (url.searchParams.get("ids") ?? "").split(",").filter(id => id);
+    const items = await Promise.all(ids.map(id => readFixture(path.join(fixtures, url.pathname, `${id}.json`))));
+    return {[key]: items.map(item => item ?? null)};
+}
+
+/**
+ * Answer a request to the Web API.
+ * @param {http.IncomingMessage} req The request.
+ * @param {http.ServerResponse} res The response.
+ * @param {URL} url The address of the request.
+ */
+async function handleApi(req, res, url) {
+    const body = await readBody(req);
+    requests.push({"method": req.method, "url": url.href, "headers": req.headers, ...(body && {body})});
+
+    const failure = takeFailure(url.pathname);
+    if (failure) {
+        return sendError(res, failure["status"], failure["message"] ?? http.STATUS_CODES[failure["status"]], {
+            ...(failure["retry_after"] !== undefined && {"Retry-After": String(failure["retry_after"])})
+        });
+    }
+    if (!req.headers["authorization"]?.startsWith("Bearer ")) return sendError(res, 401, "No token provided");
+
+    if (url.pathname.endsWith("/contains")) {
+        const ids = (url.searchParams.get("ids") ?? "").split(",").filter(id => id);
+        const fixture = await readFixture(fixturePath(req.method, url, false));
+        return send(res, 200, fixture ?? ids.map(() => false));
+    }
+    if (req.method === "GET" && multiIdEndpoints[url.pathname]) {
+        return send(res, 200, await answerMultiId(url, multiIdEndpoints[url.pathname]));
+    }
+    let fixture = await readFixture(fixturePath(req.method, url)) ?? await readFixture(fixturePath(req.method, url, false));
+    if (fixture === undefined && req.method === "GET" && options.record) fixture = await record(url);
+    if (fixture !== undefined) return send(res, 200, req.method === "GET" ? paginate(fixture, url) : fixture);
+    if (req.method === "GET") return sendError(res, 404, "Resource not found, record a fixture for it");
+    // Unrecorded changes succeed, like most changes to the Web API.
+    if (/\/playlists\/[^/]+\/tracks$/.test(url.pathname)) return send(res, 200, {"snapshot_id": "mock-snapshot"});
+    return send(res, 200);
+}
+
+/**
+ * Answer a request to the Accounts service: the authorization page consents right away, and the token endpoint hands out mock tokens.
+ * @param {http.IncomingMessage} req The request.
+ * @param {http.ServerResponse} res The response.
+ * @param {URL} url The address of the request.
+ */
+async function handleAccounts(req, res, url) {
+    if (url.pathname === "/authorize") {
+        const redirect = new URL(url.searchParams.get("redirect_uri"));
+        redirect.searchParams.set("code", "mock-code");
+        redirect.searchParams.set("state", url.searchParams.get("state"));
+        grantedScope = url.searchParams.get("scope") ?? "";
+        res.writeHead(302, {"Location": redirect.href});
+        return res.end();
+    }
+    const body = new URLSearchParams(await readBody(req));
+    const failure = takeFailure(url.pathname);
+    if (failure) {
+        return send(res, failure["status"], {"error": "invalid_grant", "error_description": failure["message"] ?? "Invalid refresh token"});
+    }
+    if (!body.get("client_id")) return send(res, 400, {"error": "invalid_client", "error_description": "Missing client_id"});
+    send(res, 200, {
+        "access_token": `mock-access-token-${Date.now()}`,
+        "token_type": "Bearer",
+        "scope": grantedScope,
+        "expires_in": 3600,
+        ...(body.get("grant_type") === "authorization_code" && {"refresh_token": "mock-refresh-token"})
+    });
+}
+
+/**
+ * Answer a request to the control endpoints, which set failures and list the received requests.
+ * @param {http.IncomingMessage} req The request.
+ * @param {http.ServerResponse} res The response.
+ * @param {URL} url The address of the request.
+ */
+async function handleControl(req, res, url) {
+    if (url.pathname === "/mock/failures" && req.method === "PUT") {
+        failures = JSON.parse(await readBody(req));
+        return send(res, 204);
+    }
+    if (url.pathname === "/mock/requests" && req.method === "GET") return send(res, 200, requests);
+    if (url.pathname === "/mock/requests" && req.method === "DELETE") {
+        requests = [];
+        return send(res, 204);
+    }
+    sendError(res, 404, "Unknown control endpoint");
+}
+
+/**
+ * Serve a file of the app. Pages are served without their `.html` extension, like GitHub Pages does.
+ * @param {http.ServerResponse} res The response.
+ * @param {URL} url The address of the request.
+ */
+async function handleStatic(res, url) {
+    let file = path.join(root, decodeURIComponent(url.pathname));
+    // A prefix check would also let through the directories next to the repository whose names start with its name.
+    const relative = path.relative(root, file);
+    if (relative === ".." || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) return sendError(res, 403, "Forbidden");
+    if (url.pathname.endsWith("/")) file = path.join(file, "index.html");
+    else if (!path.extname(file)) file += ".html";
+    try {
+        const content = await fs.readFile(file);
+        res.writeHead(200, {"Content-Type": mimeTypes[path.extname(file)] ?? "application/octet-stream"});
+        res.end(content);
+    }
+    catch {
+        sendError(res, 404, "Not found");
+    }
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    try {
+        if (req.method === "OPTIONS") {
+            return send(res, 204, undefined, {
+                "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE",
+                "Access-Control-Allow-Headers": "Authorization, Content-Type"
+            });
+        }
+        if (url.pathname.startsWith("/v1/")) return await handleApi(req, res, url);
+        if (url.pathname === "/authorize" || url.pathname === "/api/token") return await handleAccounts(req, res, url);
+        if (url.pathname.startsWith("/mock/")) return await handleControl(req, res, url);
+        return await handleStatic(res, url);
+    }
+    catch (error) {
+        sendError(res, 500, error.message);
+    }
+});
+
+// Only this machine can reach the server, since it serves the files of the repository.
+server.listen(options.port, "127.0.0.1", () => {
+    console.log(`Mock Spotify server listening on http://localhost:${options.port}${options.record ? ", recording missing fixtures" : ""}`);
+    console.log(`Open http://localhost:${options.port}/?api_origin=http://localhost:${options.port} to use it`);
+});
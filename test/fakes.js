@@ -0,0 +1,109 @@
+/**
+ * Stand-ins for the browser globals the modules in `js/` use, installed when this module is imported. Import it before any module of the app, since `js/config.js` reads the page address as it loads.
+ */
+
+/**
+ * A `Storage` kept in memory.
+ */
+export class FakeStorage {
+    constructor() {
+        /**
+         * The stored items.
+         * @type {Map<string, string>}
+         */
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+/**
+ * The requests sent with `fetch`, in order, each with its parsed `url`, `method`, `headers` and raw `body`.
+ * @type {object[]}
+ */
+export const requests = [];
+
+/**
+ * Answers each request: returns a `Response`, a body to send as JSON with status 200, or `undefined` for an empty 204 response.
+ * @type {function(URL, RequestInit): (Response|object|undefined)}
+ */
+let handler = () => ({});
+
+/**
+ * Set how the fake `fetch` answers requests.
+ * @param {function(URL, RequestInit): (Response|object|undefined)} respond Called with the URL and the options of each request.
+ */
+export function respondWith(respond) {
+    handler = respond;
+}
+
+/**
+ * Every scope the app asks for.
+ * @type {string[]}
+ */
+export const allScopes = [
+    "user-top-read",
+    "user-read-private",
+    "user-read-recently-played",
+    "user-read-playback-state",
+    "user-read-currently-playing",
+    "user-modify-playback-state",
+    "user-library-read",
+    "user-library-modify",
+    "user-follow-read",
+    "user-follow-modify",
+    "playlist-read-private",
+    "playlist-modify-public",
+    "playlist-modify-private",
+    "ugc-image-upload"
+];
+
+/**
+ * Forget the recorded requests, answer every request with an empty JSON object again, and log in a user holding every scope.
+ * @param {string[]} scopes The scopes granted to the stored token.
+ */
+export function reset(scopes=allScopes) {
+    requests.length = 0;
+    handler = () => ({});
+    localStorage.clear();
+    sessionStorage.clear();
+    localStorage.setItem("access_token", "access-token");
+    localStorage.setItem("refresh_token", "refresh-token");
+    localStorage.setItem("expires_at", Math.floor(Date.now() / 1000) + 3600);
+    localStorage.setItem("scope", scopes.join(" "));
+    window.location.href = "http://localhost:8080/app";
+}
+
+globalThis.localStorage = new FakeStorage();
+globalThis.sessionStorage = new FakeStorage();
+globalThis.window = {
+    "location": {
+        "hostname": "localhost",
+        "origin": "http://localhost:8080",
+        "search": "",
+        "href": "http://localhost:8080/app"
+    }
+};
+globalThis.fetch = async (url, init={}) => {
+    const parsed = new URL(url);
+    requests.push({"url": parsed, "method": init.method ?? "GET", "headers": init.headers ?? {}, "body": init.body});
+    const answer = handler(parsed, init);
+    if (answer instanceof Response) return answer;
+    if (answer === undefined) return new Response(null, {"status": 204});
+    return new Response(JSON.stringify(answer), {"status": 200, "headers": {"Content-Type": "application/json"}});
+};
+reset();
@@ -0,0 +1,151 @@
+import {test, describe, beforeEach} from "node:test"
+import assert from "node:assert/strict"
+import {requests, respondWith, reset} from "./fakes.js"
+import * as OAuth from "../js/oauth.js"
+
+/**
+ * Wait for `authorize` to send the user away, which happens once the code challenge is hashed.
+ * @returns {Promise<URL>} The address the user was sent to
+ */
+async function waitForRedirect() {
+    for (let wait = 0; wait < 100 && !window.location.href.includes("/authorize"); wait++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return new URL(window.location.href);
+}
+
+beforeEach(() => reset());
+
+describe("constants", () => {
+    test("redirect_uri points at the redirect page of the app", () => {
+        assert.equal(OAuth.redirect_uri, "https://joshcanton6.github.io/breadcrumbs/redirect");
+    });
+
+    test("client_id is the app's client ID", () => {
+        assert.match(OAuth.client_id, /^[0-9a-f]{32}$/);
+    });
+});
+
+describe("generateRandomString", () => {
+    test("returns a string of unreserved URL characters of the given length", () => {
+        for (const length of [16, 43, 128]) assert.match(OAuth.generateRandomString(length), new RegExp(`^[A-Za-z0-9]{${length}}$`));
+    });
+
+    test("returns a different string each time", () => {
+        assert.notEqual(OAuth.generateRandomString(64), OAuth.generateRandomString(64));
+    });
+});
+
+describe("generateCodeChallenge", () => {
+    test("matches the example of RFC 7636", async () => {
+        assert.equal(await OAuth.generateCodeChallenge("dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk"), "E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM");
+    });
+});
+
+describe("authorize", () => {
+    test("sends the user to the authorization page with a PKCE challenge and a state", async () => {
+        await OAuth.authorize(["user-top-read", "playlist-modify-private"]);
+        const url = await waitForRedirect();
+        assert.equal(`${url.origin}${url.pathname}`, "https://accounts.spotify.com/authorize");
+        assert.deepEqual(Object.fromEntries(url.searchParams), {
+            "client_id": OAuth.client_id,
+            "response_type": "code",
+            "redirect_uri": OAuth.redirect_uri,
+            "scope": "user-top-read playlist-modify-private",
+            "code_challenge_method": "S256",
+            "code_challenge": await OAuth.generateCodeChallenge(localStorage.getItem("code_verifier")),
+            "state": localStorage.getItem("state")
+        });
+        assert.equal(localStorage.getItem("return_to"), null);
+        assert.equal(requests.length, 0);
+    });
+
+    test("remembers where to return to, and forgets it when there is none", async () => {
+        await OAuth.authorize(["user-top-read"], "http://localhost:8080/tools");
+        assert.equal(localStorage.getItem("return_to"), "http://localhost:8080/tools");
+        await OAuth.authorize(["user-top-read"]);
+        assert.equal(localStorage.getItem("return_to"), null);
+    });
+});
+
+describe("getGrantedScopes", () => {
+    test("splits the stored scopes", () => {
+        localStorage.setItem("scope", "user-top-read playlist-read-private");
+        assert.deepEqual(OAuth.getGrantedScopes(), ["user-top-read", "playlist-read-private"]);
+    });
+
+    test("returns an empty list for a token without scopes", () => {
+        localStorage.setItem("scope", "");
+        assert.deepEqual(OAuth.getGrantedScopes(), []);
+    });
+
+    test("returns null when the scopes are not known", () => {
+        localStorage.removeItem("scope");
+        assert.equal(OAuth.getGrantedScopes(), null);
+    });
+});
+
+describe("clearTokens", () => {
+    test("forgets the tokens and their scopes", () => {
+        localStorage.setItem("recipes", "{}");
+        OAuth.clearTokens();
+        for (const key of ["access_token", "refresh_token", "expires_at", "scope"]) assert.equal(localStorage.getItem(key), null);
+        assert.equal(localStorage.getItem("recipes"), "{}");
+    });
+});
+
+describe("fetchToken", () => {
+    test("exchanges an authorization code with the code verifier, and stores the tokens", async () => {
+        localStorage.clear();
+        localStorage.setItem("code_verifier", "verifier");
+        respondWith(() => ({"access_token": "new-access", "refresh_token": "new-refresh", "expires_in": 3600, "scope": "user-top-read"}));
+        await OAuth.fetchToken("authorization_code", "code");
+        assert.equal(requests.length, 1);
+        const [request] = requests;
+        assert.equal(request.url.href, "https://accounts.spotify.com/api/token");
+        assert.equal(request.method, "POST");
+        assert.deepEqual(request.headers, {"Content-Type": "application/x-www-form-urlencoded"});
+        assert.deepEqual(Object.fromEntries(request.body), {
+            "grant_type": "authorization_code",
+            "code": "code",
+            "redirect_uri": OAuth.redirect_uri,
+            "client_id": OAuth.client_id,
+            "code_verifier": "verifier"
+        });
+        assert.equal(localStorage.getItem("code_verifier"), null);
+        assert.equal(localStorage.getItem("access_token"), "new-access");
+        assert.equal(localStorage.getItem("refresh_token"), "new-refresh");
+        assert.equal(localStorage.getItem("scope"), "user-top-read");
+        const expiresIn = localStorage.getItem("expires_at") - Math.floor(Date.now() / 1000);
+        assert.ok(expiresIn > 3590 && expiresIn <= 3600);
+    });
+
+    test("refreshes with the stored refresh token, and keeps it when it is not rotated", async () => {
+        localStorage.removeItem("scope");
+        respondWith(() => ({"access_token": "new-access", "expires_in": 3600}));
+        await OAuth.fetchToken("refresh_token");
+        const [request] = requests;
+        assert.equal(request.url.href, "https://accounts.spotify.com/api/token");
+        assert.equal(request.method, "POST");
+        assert.deepEqual(Object.fromEntries(request.body), {
+            "grant_type": "refresh_token",
+            "refresh_token": "refresh-token",
+            "client_id": OAuth.client_id
+        });
+        assert.equal(localStorage.getItem("access_token"), "new-access");
+        assert.equal(localStorage.getItem("refresh_token"), "refresh-token");
+        assert.equal(localStorage.getItem("scope"), null);
+    });
+
+    test("stores a rotated refresh token", async () => {
+        respondWith(() => ({"access_token": "new-access", "refresh_token": "rotated", "expires_in": 3600}));
+        await OAuth.fetchToken("refresh_token");
+        assert.equal(localStorage.getItem("refresh_token"), "rotated");
+    });
+
+    test("rejects with the error of the Accounts service and keeps the stored tokens", async () => {
+        respondWith(() => new Response(JSON.stringify({"error": "invalid_grant", "error_description": "Refresh token revoked"}), {"status": 400}));
+        await assert.rejects(OAuth.fetchToken("refresh_token"), {"name": "SpotifyApiError", "status": 400, "message": "Refresh token revoked"});
+        assert.equal(localStorage.getItem("access_token"), "access-token");
+    });
+});
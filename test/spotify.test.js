@@ -0,0 +1,243 @@
+import {test, describe, before, beforeEach} from "node:test"
+import assert from "node:assert/strict"
+import {requests, respondWith, reset} from "./fakes.js"
+import * as Spotify from "../js/spotify.js"
+import * as Market from "../js/market.js"
+
+/**
+ * Each wrapper call and the request it must send: the `method`, the `path` and the exact `query`, and optionally the `Content-Type` header as `contentType` and the JSON `body` (or the `rawBody`). A request without `body` or `rawBody` must have no body.
+ * @type {object[]}
+ */
+const cases = [
+    {"name": "getAlbum", "call": () => Spotify.getAlbum("album"), "method": "GET", "path": "/v1/albums/album", "query": {}},
+    {"name": "getAlbum with a market", "call": () => Spotify.getAlbum("album", "SE"), "method": "GET", "path": "/v1/albums/album", "query": {"market": "SE"}},
+    {"name": "getSeveralAlbums", "call": () => Spotify.getSeveralAlbums(["a", "b"]), "method": "GET", "path": "/v1/albums", "query": {"ids": "a,b"}},
+    {"name": "getSeveralAlbums with a string and a market", "call": () => Spotify.getSeveralAlbums("a,b", "SE"), "method": "GET", "path": "/v1/albums", "query": {"ids": "a,b", "market": "SE"}},
+    {"name": "getAlbumTracks", "call": () => Spotify.getAlbumTracks("album"), "method": "GET", "path": "/v1/albums/album/tracks", "query": {}},
+    {"name": "getAlbumTracks with every parameter", "call": () => Spotify.getAlbumTracks("album", "SE", 50, 100), "method": "GET", "path": "/v1/albums/album/tracks", "query": {"market": "SE", "limit": "50", "offset": "100"}},
+    {"name": "getUsersSavedAlbums", "call": () => Spotify.getUsersSavedAlbums(), "method": "GET", "path": "/v1/me/albums", "query": {}},
+    {"name": "getUsersSavedAlbums with every parameter", "call": () => Spotify.getUsersSavedAlbums(50, 100, "SE"), "method": "GET", "path": "/v1/me/albums", "query": {"limit": "50", "offset": "100", "market": "SE"}},
+    {"name": "saveAlbumsForCurrentUser with a string", "call": () => Spotify.saveAlbumsForCurrentUser("a,b"), "method": "PUT", "path": "/v1/me/albums", "query": {"ids": "a,b"}, "contentType": "application/json"},
+    {"name": "saveAlbumsForCurrentUser with an array", "call": () => Spotify.saveAlbumsForCurrentUser(["a", "b"]), "method": "PUT", "path": "/v1/me/albums", "query": {}, "contentType": "application/json", "body": {"ids": ["a", "b"]}},
+    {"name": "removeUsersSavedAlbums with a string", "call": () => Spotify.removeUsersSavedAlbums("a,b"), "method": "DELETE", "path": "/v1/me/albums", "query": {"ids": "a,b"}, "contentType": "application/json"},
+    {"name": "removeUsersSavedAlbums with an array", "call": () => Spotify.removeUsersSavedAlbums(["a", "b"]), "method": "DELETE", "path": "/v1/me/albums", "query": {}, "contentType": "application/json", "body": {"ids": ["a", "b"]}},
+    {"name": "checkUsersSavedAlbums", "call": () => Spotify.checkUsersSavedAlbums("a,b"), "method": "GET", "path": "/v1/me/albums/contains", "query": {"ids": "a,b"}},
+    {"name": "getNewReleases", "call": () => Spotify.getNewReleases(), "method": "GET", "path": "/v1/browse/new-releases", "query": {}},
+    {"name": "getNewReleases with every parameter", "call": () => Spotify.getNewReleases(50, 100), "method": "GET", "path": "/v1/browse/new-releases", "query": {"limit": "50", "offset": "100"}},
+    {"name": "getArtist", "call": () => Spotify.getArtist("artist"), "method": "GET", "path": "/v1/artists/artist", "query": {}},
+    {"name": "getSeveralArtists", "call": () => Spotify.getSeveralArtists(["a", "b"]), "method": "GET", "path": "/v1/artists", "query": {"ids": "a,b"}},
+    {"name": "getArtistsAlbums", "call": () => Spotify.getArtistsAlbums("artist"), "method": "GET", "path": "/v1/artists/artist/albums", "query": {}},
+    {"name": "getArtistsAlbums with every parameter", "call": () => Spotify.getArtistsAlbums("artist", "album,single", "SE", 50, 100), "method": "GET", "path": "/v1/artists/artist/albums", "query": {"include_groups": "album,single", "market": "SE", "limit": "50", "offset": "100"}},
+    {"name": "getArtistsTopTracks", "call": () => Spotify.getArtistsTopTracks("artist"), "method": "GET", "path": "/v1/artists/artist/top-tracks", "query": {}},
+    {"name": "getArtistsTopTracks with a market", "call": () => Spotify.getArtistsTopTracks("artist", "SE"), "method": "GET", "path": "/v1/artists/artist/top-tracks", "query": {"market": "SE"}},
+    {"name": "getSeveralBrowseCategories", "call": () => Spotify.getSeveralBrowseCategories(), "method": "GET", "path": "/v1/browse/categories", "query": {}},
+    {"name": "getSeveralBrowseCategories with every parameter", "call": () => Spotify.getSeveralBrowseCategories("sv_SE", 50, 100), "method": "GET", "path": "/v1/browse/categories", "query": {"locale": "sv_SE", "limit": "50", "offset": "100"}},
+    {"name": "getSingleBrowseCategory", "call": () => Spotify.getSingleBrowseCategory("dinner"), "method": "GET", "path": "/v1/browse/categories/dinner", "query": {}},
+    {"name": "getSingleBrowseCategory with a locale", "call": () => Spotify.getSingleBrowseCategory("dinner", "sv_SE"), "method": "GET", "path": "/v1/browse/categories/dinner", "query": {"locale": "sv_SE"}},
+    {"name": "getAvailableMarkets", "call": () => Spotify.getAvailableMarkets(), "method": "GET", "path": "/v1/markets", "query": {}},
+    {"name": "getPlaybackState", "call": () => Spotify.getPlaybackState(), "method": "GET", "path": "/v1/me/player", "query": {}},
+    {"name": "getPlaybackState with every parameter", "call": () => Spotify.getPlaybackState("SE", "episode"), "method": "GET", "path": "/v1/me/player", "query": {"market": "SE", "additional_types": "episode"}},
+    {"name": "transferPlayback", "call": () => Spotify.transferPlayback("device"), "method": "PUT", "path": "/v1/me/player", "query": {}, "contentType": "application/json", "body": {"device_ids": ["device"]}},
+    {"name": "transferPlayback without playing", "call": () => Spotify.transferPlayback(["device"], false), "method": "PUT", "path": "/v1/me/player", "query": {}, "contentType": "application/json", "body": {"device_ids": ["device"], "play": false}},
+    {"name": "getAvailableDevices", "call": () => Spotify.getAvailableDevices(), "method": "GET", "path": "/v1/me/player/devices", "query": {}},
+    {"name": "startOrResumePlayback", "call": () => Spotify.startOrResumePlayback(), "method": "PUT", "path": "/v1/me/player/play", "query": {}, "contentType": "application/json", "body": {}},
+    {"name": "startOrResumePlayback with a context", "call": () => Spotify.startOrResumePlayback("device", "spotify:album:album", null, {"position": 0}, 0), "method": "PUT", "path": "/v1/me/player/play", "query": {"device_id": "device"}, "contentType": "application/json", "body": {"context_uri": "spotify:album:album", "offset": {"position": 0}, "position_ms": 0}},
+    {"name": "startOrResumePlayback with tracks", "call": () => Spotify.startOrResumePlayback(null, null, ["spotify:track:a"]), "method": "PUT", "path": "/v1/me/player/play", "query": {}, "contentType": "application/json", "body": {"uris": ["spotify:track:a"]}},
+    {"name": "pausePlayback", "call": () => Spotify.pausePlayback(), "method": "PUT", "path": "/v1/me/player/pause", "query": {}},
+    {"name": "pausePlayback on a device", "call": () => Spotify.pausePlayback("device"), "method": "PUT", "path": "/v1/me/player/pause", "query": {"device_id": "device"}},
+    {"name": "skipToNext", "call": () => Spotify.skipToNext(), "method": "POST", "path": "/v1/me/player/next", "query": {}},
+    {"name": "skipToNext on a device", "call": () => Spotify.skipToNext("device"), "method": "POST", "path": "/v1/me/player/next", "query": {"device_id": "device"}},
+    {"name": "skipToPrevious", "call": () => Spotify.skipToPrevious(), "method": "POST", "path": "/v1/me/player/previous", "query": {}},
+    {"name": "skipToPrevious on a device", "call": () => Spotify.skipToPrevious("device"), "method": "POST", "path": "/v1/me/player/previous", "query": {"device_id": "device"}},
+    {"name": "seekToPosition to the start", "call": () => Spotify.seekToPosition(0), "method": "PUT", "path": "/v1/me/player/seek", "query": {"position_ms": "0"}},
+    {"name": "seekToPosition on a device", "call": () => Spotify.seekToPosition(1000, "device"), "method": "PUT", "path": "/v1/me/player/seek", "query": {"position_ms": "1000", "device_id": "device"}},
+    {"name": "getUsersQueue", "call": () => Spotify.getUsersQueue(), "method": "GET", "path": "/v1/me/player/queue", "query": {}},
+    {"name": "addItemToPlaybackQueue", "call": () => Spotify.addItemToPlaybackQueue("spotify:track:a"), "method": "POST", "path": "/v1/me/player/queue", "query": {"uri": "spotify:track:a"}},
+    {"name": "addItemToPlaybackQueue on a device", "call": () => Spotify.addItemToPlaybackQueue("spotify:track:a", "device"), "method": "POST", "path": "/v1/me/player/queue", "query": {"uri": "spotify:track:a", "device_id": "device"}},
+    {"name": "getRecentlyPlayedTracks", "call": () => Spotify.getRecentlyPlayedTracks(), "method": "GET", "path": "/v1/me/player/recently-played", "query": {}},
+    {"name": "getRecentlyPlayedTracks after a time", "call": () => Spotify.getRecentlyPlayedTracks(50, 1700000000000), "method": "GET", "path": "/v1/me/player/recently-played", "query": {"limit": "50", "after": "1700000000000"}},
+    {"name": "getRecentlyPlayedTracks before a time", "call": () => Spotify.getRecentlyPlayedTracks(20, null, 1700000000000), "method": "GET", "path": "/v1/me/player/recently-played", "query": {"before": "1700000000000"}},
+    {"name": "getPlaylist", "call": () => Spotify.getPlaylist("playlist"), "method": "GET", "path": "/v1/playlists/playlist", "query": {}},
+    {"name": "getPlaylist with every parameter", "call": () => Spotify.getPlaylist("playlist", "SE", "name", "episode"), "method": "GET", "path": "/v1/playlists/playlist", "query": {"market": "SE", "fields": "name", "additional_types": "episode"}},
+    {"name": "changePlaylistDetails", "call": () => Spotify.changePlaylistDetails("playlist", "Name"), "method": "PUT", "path": "/v1/playlists/playlist", "query": {}, "contentType": "application/json", "body": {"name": "Name"}},
+    {"name": "changePlaylistDetails with every parameter", "call": () => Spotify.changePlaylistDetails("playlist", null, false, true, ""), "method": "PUT", "path": "/v1/playlists/playlist", "query": {}, "contentType": "application/json", "body": {"public": false, "collaborative": true, "description": ""}},
+    {"name": "getPlaylistItems", "call": () => Spotify.getPlaylistItems("playlist"), "method": "GET", "path": "/v1/playlists/playlist/tracks", "query": {}},
+    {"name": "getPlaylistItems with every parameter", "call": () => Spotify.getPlaylistItems("playlist", "SE", "items(track(uri))", 50, 100, "episode"), "method": "GET", "path": "/v1/playlists/playlist/tracks", "query": {"market": "SE", "fields": "items(track(uri))", "limit": "50", "offset": "100", "additional_types": "episode"}},
+    {"name": "updatePlaylistItems reordering from the start", "call": () => Spotify.updatePlaylistItems("playlist", null, 0, 3), "method": "PUT", "path": "/v1/playlists/playlist/tracks", "query": {}, "contentType": "application/json", "body": {"range_start": 0, "insert_before": 3, "range_length": 1}},
+    {"name": "updatePlaylistItems reordering a range against a snapshot", "call": () => Spotify.updatePlaylistItems("playlist", null, 2, 0, 4, "snapshot"), "method": "PUT", "path": "/v1/playlists/playlist/tracks", "query": {}, "contentType": "application/json", "body": {"range_start": 2, "insert_before": 0, "range_length": 4, "snapshot_id": "snapshot"}},
+    {"name": "updatePlaylistItems replacing with an array", "call": () => Spotify.updatePlaylistItems("playlist", ["spotify:track:a"]), "method": "PUT", "path": "/v1/playlists/playlist/tracks", "query": {}, "contentType": "application/json", "body": {"uris": ["spotify:track:a"]}},
+    {"name": "updatePlaylistItems clearing", "call": () => Spotify.updatePlaylistItems("playlist", []), "method": "PUT", "path": "/v1/playlists/playlist/tracks", "query": {}, "contentType": "application/json", "body": {"uris": []}},
+    {"name": "updatePlaylistItems replacing with a string", "call": () => Spotify.updatePlaylistItems("playlist", "spotify:track:a,spotify:track:b"), "method": "PUT", "path": "/v1/playlists/playlist/tracks", "query": {"uris": "spotify:track:a,spotify:track:b"}, "contentType": "application/json"},
+    {"name": "addItemsToPlaylist", "call": () => Spotify.addItemsToPlaylist("playlist", ["spotify:track:a"]), "method": "POST", "path": "/v1/playlists/playlist/tracks", "query": {}, "contentType": "application/json", "body": {"uris": ["spotify:track:a"]}},
+    {"name": "addItemsToPlaylist at the start", "call": () => Spotify.addItemsToPlaylist("playlist", "spotify:track:a", 0), "method": "POST", "path": "/v1/playlists/playlist/tracks", "query": {}, "contentType": "application/json", "body": {"uris": ["spotify:track:a"], "position": 0}},
+    {"name": "removePlaylistItems", "call": () => Spotify.removePlaylistItems("playlist", [{"uri": "spotify:track:a"}]), "method": "DELETE", "path": "/v1/playlists/playlist/tracks", "query": {}, "contentType": "application/json", "body": {"tracks": [{"uri": "spotify:track:a"}]}},
+    {"name": "removePlaylistItems against a snapshot", "call": () => Spotify.removePlaylistItems("playlist", [{"uri": "spotify:track:a"}], "snapshot"), "method": "DELETE", "path": "/v1/playlists/playlist/tracks", "query": {}, "contentType": "application/json", "body": {"tracks": [{"uri": "spotify:track:a"}], "snapshot_id": "snapshot"}},
+    {"name": "getCurrentUsersPlaylists", "call": () => Spotify.getCurrentUsersPlaylists(), "method": "GET", "path": "/v1/me/playlists", "query": {}},
+    {"name": "getCurrentUsersPlaylists with every parameter", "call": () => Spotify.getCurrentUsersPlaylists(50, 100), "method": "GET", "path": "/v1/me/playlists", "query": {"limit": "50", "offset": "100"}},
+    {"name": "getUsersPlaylists", "call": () => Spotify.getUsersPlaylists("user"), "method": "GET", "path": "/v1/users/user/playlists", "query": {}},
+    {"name": "getUsersPlaylists with every parameter", "call": () => Spotify.getUsersPlaylists("user", 50, 100), "method": "GET", "path": "/v1/users/user/playlists", "query": {"limit": "50", "offset": "100"}},
+    {"name": "createPlaylist", "call": () => Spotify.createPlaylist("user", "Name"), "method": "POST", "path": "/v1/users/user/playlists", "query": {}, "contentType": "application/json", "body": {"name": "Name"}},
+    {"name": "createPlaylist with every parameter", "call": () => Spotify.createPlaylist("user", "Name", false, true, "Description"), "method": "POST", "path": "/v1/users/user/playlists", "query": {}, "contentType": "application/json", "body": {"name": "Name", "public": false, "collaborative": true, "description": "Description"}},
+    {"name": "getPlaylistCoverImage", "call": () => Spotify.getPlaylistCoverImage("playlist"), "method": "GET", "path": "/v1/playlists/playlist/images", "query": {}},
+    {"name": "addCustomPlaylistCoverImage", "call": () => Spotify.addCustomPlaylistCoverImage("playlist", "/9j/4AAQ"), "method": "PUT", "path": "/v1/playlists/playlist/images", "query": {}, "contentType": "image/jpeg", "rawBody": "/9j/4AAQ"},
+    {"name": "searchForItem", "call": () => Spotify.searchForItem("artist:Björk", "artist"), "method": "GET", "path": "/v1/search", "query": {"q": "artist:Björk", "type": "artist"}},
+    {"name": "searchForItem with every parameter", "call": () => Spotify.searchForItem("q", "track,album", "SE", 50, 100, true), "method": "GET", "path": "/v1/search", "query": {"q": "q", "type": "track,album", "market": "SE", "limit": "50", "offset": "100", "include_external": "audio"}},
+    {"name": "getTrack", "call": () => Spotify.getTrack("track"), "method": "GET", "path": "/v1/tracks/track", "query": {}},
+    {"name": "getTrack with a market", "call": () => Spotify.getTrack("track", "SE"), "method": "GET", "path": "/v1/tracks/track", "query": {"market": "SE"}},
+    {"name": "getSeveralTracks", "call": () => Spotify.getSeveralTracks(["a", "b"]), "method": "GET", "path": "/v1/tracks", "query": {"ids": "a,b"}},
+    {"name": "getSeveralTracks with a market", "call": () => Spotify.getSeveralTracks("a,b", "SE"), "method": "GET", "path": "/v1/tracks", "query": {"ids": "a,b", "market": "SE"}},
+    {"name": "getUsersSavedTracks", "call": () => Spotify.getUsersSavedTracks(), "method": "GET", "path": "/v1/me/tracks", "query": {}},
+    {"name": "getUsersSavedTracks with every parameter", "call": () => Spotify.getUsersSavedTracks("SE", 50, 100), "method": "GET", "path": "/v1/me/tracks", "query": {"market": "SE", "limit": "50", "offset": "100"}},
+    {"name": "saveTracksForCurrentUser with a string", "call": () => Spotify.saveTracksForCurrentUser("a,b"), "method": "PUT", "path": "/v1/me/tracks", "query": {"ids": "a,b"}, "contentType": "application/json"},
+    {"name": "saveTracksForCurrentUser with an array", "call": () => Spotify.saveTracksForCurrentUser(["a", "b"]), "method": "PUT", "path": "/v1/me/tracks", "query": {}, "contentType": "application/json", "body": {"ids": ["a", "b"]}},
+    {"name": "removeUsersSavedTracks with a string", "call": () => Spotify.removeUsersSavedTracks("a,b"), "method": "DELETE", "path": "/v1/me/tracks", "query": {"ids": "a,b"}, "contentType": "application/json"},
+    {"name": "removeUsersSavedTracks with an array", "call": () => Spotify.removeUsersSavedTracks(["a", "b"]), "method": "DELETE", "path": "/v1/me/tracks", "query": {}, "contentType": "application/json", "body": {"ids": ["a", "b"]}},
+    {"name": "checkUsersSavedTracks", "call": () => Spotify.checkUsersSavedTracks(["a", "b"]), "method": "GET", "path": "/v1/me/tracks/contains", "query": {"ids": "a,b"}},
+    {"name": "getCurrentUsersProfile", "call": () => Spotify.getCurrentUsersProfile(), "method": "GET", "path": "/v1/me", "query": {}},
+    {"name": "getUsersTopItems", "call": () => Spotify.getUsersTopItems("artists"), "method": "GET", "path": "/v1/me/top/artists", "query": {}},
+    {"name": "getUsersTopItems with every parameter", "call": () => Spotify.getUsersTopItems("tracks", "short_term", 50, 100), "method": "GET", "path": "/v1/me/top/tracks", "query": {"time_range": "short_term", "limit": "50", "offset": "100"}},
+    {"name": "getUsersProfile", "call": () => Spotify.getUsersProfile("user"), "method": "GET", "path": "/v1/users/user", "query": {}},
+    {"name": "followPlaylist", "call": () => Spotify.followPlaylist("playlist"), "method": "POST", "path": "/v1/playlists/playlist/followers", "query": {}, "contentType": "application/json", "body": {}},
+    {"name": "followPlaylist privately", "call": () => Spotify.followPlaylist("playlist", false), "method": "POST", "path": "/v1/playlists/playlist/followers", "query": {}, "contentType": "application/json", "body": {"public": false}},
+    {"name": "unfollowPlaylist", "call": () => Spotify.unfollowPlaylist("playlist"), "method": "DELETE", "path": "/v1/playlists/playlist/followers", "query": {}},
+    {"name": "getFollowedArtists", "call": () => Spotify.getFollowedArtists(), "method": "GET", "path": "/v1/me/following", "query": {"type": "artist"}},
+    {"name": "getFollowedArtists with every parameter", "call": () => Spotify.getFollowedArtists("artist", 50), "method": "GET", "path": "/v1/me/following", "query": {"type": "artist", "after": "artist", "limit": "50"}},
+    {"name": "followArtistsOrUsers", "call": () => Spotify.followArtistsOrUsers("artist", "a,b"), "method": "PUT", "path": "/v1/me/following", "query": {"type": "artist"}, "contentType": "application/json", "body": {"ids": ["a", "b"]}},
+    {"name": "unfollowArtistsOrUsers with a string", "call": () => Spotify.unfollowArtistsOrUsers("user", "a,b"), "method": "DELETE", "path": "/v1/me/following", "query": {"type": "user", "ids": "a,b"}, "contentType": "application/json"},
+    {"name": "unfollowArtistsOrUsers with an array", "call": () => Spotify.unfollowArtistsOrUsers("artist", ["a", "b"]), "method": "DELETE", "path": "/v1/me/following", "query": {"type": "artist"}, "contentType": "application/json", "body": {"ids": ["a", "b"]}},
+    {"name": "checkIfUserFollowsArtistsOrUsers", "call": () => Spotify.checkIfUserFollowsArtistsOrUsers("artist", ["a", "b"]), "method": "GET", "path": "/v1/me/following/contains", "query": {"type": "artist", "ids": "a,b"}},
+    {"name": "checkIfCurrentUserFollowsPlaylist", "call": () => Spotify.checkIfCurrentUserFollowsPlaylist("playlist"), "method": "GET", "path": "/v1/playlists/playlist/followers/contains", "query": {}},
+    {"name": "getNext", "call": () => Spotify.getNext("https://api.spotify.com/v1/me/playlists?offset=20&limit=20"), "method": "GET", "path": "/v1/me/playlists", "query": {"offset": "20", "limit": "20"}}
+];
+
+/**
+ * Get the only request sent so far.
+ * @returns {object} The request
+ */
+function onlyRequest() {
+    assert.equal(requests.length, 1, `expected one request, got ${requests.length}`);
+    return requests[0];
+}
+
+before(async () => {
+    // The user's market is looked up once; a profile without a country leaves the wrappers' default market empty.
+    respondWith(url => url.pathname === "/v1/markets" ? {"markets": ["SE", "US"]} : {});
+    assert.equal(await Market.getMarket(), null);
+});
+
+beforeEach(() => reset());
+
+describe("every wrapper sends the documented request", () => {
+    for (const expected of cases) {
+        test(expected.name, async () => {
+            await expected.call();
+            const request = onlyRequest();
+            assert.equal(request.url.origin, "https://api.spotify.com");
+            assert.equal(request.method, expected.method);
+            assert.equal(request.url.pathname, expected.path);
+            assert.deepEqual(Object.fromEntries(request.url.searchParams), expected.query);
+            assert.equal(request.headers["Authorization"], "Bearer access-token");
+            assert.equal(request.headers["Content-Type"], expected.contentType);
+            if (expected.body) assert.deepEqual(JSON.parse(request.body), expected.body);
+            else assert.equal(request.body, expected.rawBody);
+        });
+    }
+
+    test("every export has a case", () => {
+        const covered = new Set(cases.map(expected => expected.name.split(" ")[0]));
+        const missing = Object.keys(Spotify).filter(name => !covered.has(name));
+        assert.deepEqual(missing, []);
+    });
+});
+
+describe("multi-ID and multi-item wrappers split their requests", () => {
+    test("getSeveralAlbums asks for 20 albums at a time, keeping their order", async () => {
+        const ids = Array.from({"length": 25}, (_, i) => `album${i}`);
+        respondWith(url => ({"albums": url.searchParams.get("ids").split(",").map(id => ({id}))}));
+        const {albums} = await Spotify.getSeveralAlbums(ids);
+        assert.deepEqual(requests.map(request => request.url.searchParams.get("ids").split(",").length), [20, 5]);
+        assert.deepEqual(albums.map(album => album["id"]), ids);
+    });
+
+    test("getSeveralTracks and getSeveralArtists ask for 50 at a time", async () => {
+        const ids = Array.from({"length": 60}, (_, i) => `id${i}`);
+        respondWith(() => ({"tracks": [], "artists": []}));
+        await Spotify.getSeveralTracks(ids);
+        await Spotify.getSeveralArtists(ids);
+        assert.deepEqual(requests.map(request => request.url.searchParams.get("ids").split(",").length), [50, 10, 50, 10]);
+    });
+
+    test("checkUsersSavedTracks and checkIfUserFollowsArtistsOrUsers join the answers in order", async () => {
+        const ids = Array.from({"length": 60}, (_, i) => `id${i}`);
+        respondWith(url => url.searchParams.get("ids").split(",").map(id => id.endsWith("5")));
+        const expected = ids.map(id => id.endsWith("5"));
+        assert.deepEqual(await Spotify.checkUsersSavedTracks(ids), expected);
+        assert.deepEqual(await Spotify.checkIfUserFollowsArtistsOrUsers("artist", ids), expected);
+    });
+
+    test("followArtistsOrUsers sends 50 IDs at a time", async () => {
+        await Spotify.followArtistsOrUsers("artist", Array.from({"length": 60}, (_, i) => `id${i}`));
+        assert.deepEqual(requests.map(request => JSON.parse(request.body)["ids"].length), [50, 10]);
+    });
+
+    test("addItemsToPlaylist adds 100 items at a time in order, moving the position along", async () => {
+        const uris = Array.from({"length": 250}, (_, i) => `spotify:track:${i}`);
+        respondWith(() => ({"snapshot_id": `snapshot${requests.length}`}));
+        const response = await Spotify.addItemsToPlaylist("playlist", uris, 0);
+        const bodies = requests.map(request => JSON.parse(request.body));
+        assert.deepEqual(bodies.map(body => body["position"]), [0, 100, 200]);
+        assert.deepEqual(bodies.flatMap(body => body["uris"]), uris);
+        assert.deepEqual(response, {"snapshot_id": "snapshot3"});
+    });
+
+    test("addItemsToPlaylist appends every chunk without a position", async () => {
+        await Spotify.addItemsToPlaylist("playlist", Array.from({"length": 150}, (_, i) => `spotify:track:${i}`));
+        assert.deepEqual(requests.map(request => "position" in JSON.parse(request.body)), [false, false]);
+    });
+
+    test("removePlaylistItems sends each chunk against the snapshot of the previous one", async () => {
+        const tracks = Array.from({"length": 150}, (_, i) => ({"uri": `spotify:track:${i}`}));
+        respondWith(() => ({"snapshot_id": `snapshot${requests.length}`}));
+        const response = await Spotify.removePlaylistItems("playlist", tracks, "snapshot0");
+        const bodies = requests.map(request => JSON.parse(request.body));
+        assert.deepEqual(bodies.map(body => [body["tracks"].length, body["snapshot_id"]]), [[100, "snapshot0"], [50, "snapshot1"]]);
+        assert.deepEqual(response, {"snapshot_id": "snapshot2"});
+    });
+});
+
+describe("updatePlaylistItems", () => {
+    test("sends nothing when the parameters mix a reorder and a replace", async () => {
+        assert.equal(await Spotify.updatePlaylistItems("playlist", ["spotify:track:a"], 0, 1), undefined);
+        assert.equal(requests.length, 0);
+    });
+});
+
+describe("market-aware wrappers", () => {
+    test("default to the market set by hand", async () => {
+        localStorage.setItem("market_override", "SE");
+        await Spotify.getArtistsTopTracks("artist");
+        await Spotify.searchForItem("q", "track");
+        assert.deepEqual(requests.map(request => request.url.searchParams.get("market")), ["SE", "SE"]);
+    });
+
+    test("prefer a market given by the caller", async () => {
+        localStorage.setItem("market_override", "SE");
+        await Spotify.getTrack("track", "from_token");
+        assert.equal(onlyRequest().url.searchParams.get("market"), "from_token");
+    });
+});
+
+describe("scopes", () => {
+    test("a wrapper needing a scope that was not granted sends the user to consent instead of sending the request", async () => {
+        reset(["user-top-read"]);
+        await assert.rejects(Spotify.getCurrentUsersPlaylists(), {"name": "SpotifyApiError", "status": 403});
+        assert.equal(requests.length, 0);
+        // The authorization URL is built asynchronously, once the code challenge is hashed.
+        for (let wait = 0; wait < 100 && !window.location.href.includes("/authorize"); wait++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        const authorize = new URL(window.location.href);
+        assert.equal(authorize.pathname, "/authorize");
+        assert.deepEqual(authorize.searchParams.get("scope").split(" "), ["user-top-read", "playlist-read-private"]);
+    });
+});